@@ -0,0 +1,257 @@
+/**
+ * Runtime Configuration
+ * Loads config.json (plus an optional window.APP_CONFIG injected by the hosting page),
+ * fills in defaults and validates it, so forks and staging deploys don't have to edit source
+ */
+
+class AppConfig {
+    constructor(values = {}, problems = {}) {
+        const defaults = AppConfig.getDefaults();
+        Object.assign(this, defaults, values);
+        this.features = { ...defaults.features, ...values.features };
+
+        // Human-readable problems found while loading (see validate)
+        this.errors = problems.errors || [];
+        this.warnings = problems.warnings || [];
+
+        // Settings that have to be valid before anyone can sign in
+        this.signInErrors = problems.signInErrors || [];
+    }
+
+    /**
+     * Built-in settings, used for anything config.json leaves out
+     */
+    static getDefaults() {
+        return {
+            // Spotify app from https://developer.spotify.com/dashboard (required for Spotify)
+            clientId: '',
+            // null: this page's own URL (must also be listed in the Spotify Dashboard)
+            redirectUri: null,
+            // Two-letter country code for every search; null: each language's own market
+            market: null,
+            // Languages used until the user picks their own
+            defaultLanguages: [...DEFAULT_LANGUAGES],
+            scopes: [
+                'user-read-private',
+                'user-read-email',
+                'playlist-modify-private',
+                'playlist-modify-public',
+                // Personalised seeds from the user's top artists and tracks
+                'user-top-read',
+                // Web Playback SDK (Premium only)
+                'streaming',
+                'user-read-playback-state',
+                'user-modify-playback-state'
+            ],
+            features: {
+                webPlayer: true,        // In-page Premium player (Web Playback SDK)
+                devices: true,          // Spotify Connect device picker
+                personalSeeds: true,    // Blend the user's top artists into searches
+                cameraDetection: true,  // "Detect my mood" with the camera
+                offlineMode: true       // Service worker for installing and offline use
+            }
+        };
+    }
+
+    /**
+     * Scopes each feature needs, to warn when config.json leaves them out
+     */
+    static get featureScopes() {
+        return {
+            webPlayer: ['streaming'],
+            devices: ['user-read-playback-state', 'user-modify-playback-state'],
+            personalSeeds: ['user-top-read']
+        };
+    }
+
+    /**
+     * Load and validate config.json merged with window.APP_CONFIG (which wins)
+     * Never throws: problems are reported in errors/warnings and defaults are used instead.
+     */
+    static async load(url = 'config.json') {
+        const errors = [];
+        const warnings = [];
+        let fileValues = {};
+
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (response.ok) {
+                try {
+                    fileValues = JSON.parse(await response.text());
+                } catch (parseError) {
+                    errors.push(`${url} is not valid JSON (${parseError.message}).`);
+                }
+            } else if (response.status === 404) {
+                if (!window.APP_CONFIG) {
+                    warnings.push(`${url} was not found - copy the example from the README next to index.html.`);
+                }
+            } else {
+                errors.push(`${url} could not be loaded (HTTP ${response.status}).`);
+            }
+        } catch (error) {
+            errors.push(`${url} could not be loaded (${error.message}). Open the app through a web server, not as a file.`);
+        }
+
+        if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+            errors.push(`${url} must contain a JSON object.`);
+            fileValues = {};
+        }
+
+        const injected = window.APP_CONFIG && typeof window.APP_CONFIG === 'object' ? window.APP_CONFIG : {};
+        const raw = {
+            ...fileValues,
+            ...injected,
+            features: { ...fileValues.features, ...injected.features }
+        };
+
+        const result = AppConfig.validate(raw);
+        return new AppConfig(result.values, {
+            errors: [...errors, ...result.errors],
+            warnings: [...warnings, ...result.warnings],
+            signInErrors: result.signInErrors
+        });
+    }
+
+    /**
+     * Check raw settings, keeping valid values and falling back to defaults for invalid ones
+     * Returns: { values, errors: [...], warnings: [...], signInErrors: [...] }
+     */
+    static validate(raw) {
+        const defaults = AppConfig.getDefaults();
+        const values = {};
+        const errors = [];
+        const warnings = [];
+        const signInErrors = [];
+
+        Object.keys(raw)
+            .filter(key => !(key in defaults))
+            .forEach(key => warnings.push(`Unknown setting "${key}" is ignored.`));
+
+        // Client ID
+        const clientId = typeof raw.clientId === 'string' ? raw.clientId.trim() : '';
+        if (/^[0-9a-f]{32}$/i.test(clientId)) {
+            values.clientId = clientId;
+        } else {
+            signInErrors.push(clientId
+                ? `clientId "${clientId}" doesn't look like a Spotify client ID (32 letters and digits from the Spotify Dashboard).`
+                : 'clientId is missing - copy the Client ID of your app from the Spotify Developer Dashboard.');
+        }
+
+        // Redirect URI (empty means this page)
+        if (raw.redirectUri !== undefined && raw.redirectUri !== null && raw.redirectUri !== '') {
+            let url = null;
+            try {
+                url = new URL(raw.redirectUri);
+            } catch (error) {
+                // Reported below
+            }
+
+            const isLoopback = url && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                signInErrors.push(`redirectUri "${raw.redirectUri}" is not a full http(s) URL.`);
+            } else if (url.protocol === 'http:' && !isLoopback) {
+                signInErrors.push(`redirectUri "${raw.redirectUri}" must use https:// (Spotify only allows http:// for localhost).`);
+            } else {
+                values.redirectUri = url.href;
+                if (url.origin !== window.location.origin) {
+                    warnings.push(`redirectUri points to ${url.origin}, but the app is running on ${window.location.origin} - signing in will return to the other site.`);
+                }
+            }
+        }
+
+        // Market
+        if (raw.market !== undefined && raw.market !== null && raw.market !== '') {
+            if (typeof raw.market === 'string' && /^[A-Z]{2}$/.test(raw.market)) {
+                values.market = raw.market;
+            } else {
+                errors.push(`market "${raw.market}" must be a two-letter country code like "IN" or "US" (or null for each language's own market).`);
+            }
+        }
+
+        // Default languages
+        if (raw.defaultLanguages !== undefined) {
+            const languages = Array.isArray(raw.defaultLanguages) ? raw.defaultLanguages : [];
+            const unknown = languages.filter(language => !LanguageProfiles[language]);
+            const valid = languages.filter(language => LanguageProfiles[language]);
+            if (!Array.isArray(raw.defaultLanguages) || valid.length === 0) {
+                errors.push(`defaultLanguages must list at least one of: ${Object.keys(LanguageProfiles).join(', ')}.`);
+            } else {
+                values.defaultLanguages = valid;
+                if (unknown.length > 0) {
+                    errors.push(`defaultLanguages has unknown languages: ${unknown.join(', ')} (available: ${Object.keys(LanguageProfiles).join(', ')}).`);
+                }
+            }
+        }
+
+        // Scopes
+        if (raw.scopes !== undefined) {
+            const isValid = Array.isArray(raw.scopes) && raw.scopes.length > 0 &&
+                raw.scopes.every(scope => typeof scope === 'string' && scope.trim() !== '');
+            if (isValid) {
+                values.scopes = raw.scopes.map(scope => scope.trim());
+            } else {
+                errors.push('scopes must be a list of Spotify scope names - using the built-in list.');
+            }
+        }
+
+        // Feature toggles
+        const features = {};
+        if (raw.features !== undefined && (typeof raw.features !== 'object' || Array.isArray(raw.features))) {
+            errors.push('features must be an object of true/false switches.');
+        } else {
+            Object.entries(raw.features || {}).forEach(([feature, enabled]) => {
+                if (!(feature in defaults.features)) {
+                    warnings.push(`Unknown feature "${feature}" is ignored (available: ${Object.keys(defaults.features).join(', ')}).`);
+                } else if (typeof enabled !== 'boolean') {
+                    errors.push(`features.${feature} must be true or false.`);
+                } else {
+                    features[feature] = enabled;
+                }
+            });
+        }
+        values.features = { ...defaults.features, ...features };
+
+        // Enabled features whose permissions aren't requested
+        const scopes = values.scopes || defaults.scopes;
+        Object.entries(AppConfig.featureScopes).forEach(([feature, needed]) => {
+            const missing = needed.filter(scope => !scopes.includes(scope));
+            if (values.features[feature] && missing.length > 0) {
+                warnings.push(`features.${feature} is on but scopes lack ${missing.join(', ')} - it won't work until they're added.`);
+            }
+        });
+        if (!scopes.includes('playlist-modify-private')) {
+            warnings.push('scopes lack playlist-modify-private - "Save to Spotify" won\'t work.');
+        }
+
+        return { values, errors: [...signInErrors, ...errors], warnings, signInErrors };
+    }
+
+    /**
+     * Whether a feature toggle is on
+     */
+    isEnabled(feature) {
+        return this.features[feature] !== false;
+    }
+
+    /**
+     * Whether the sign-in settings (client ID, redirect URI) are usable
+     */
+    get canSignIn() {
+        return this.signInErrors.length === 0 && Boolean(this.clientId);
+    }
+
+    /**
+     * The configured redirect URI, or the folder of this page (/app/index.html signs in via /app/)
+     */
+    getRedirectUri(pageUrl = window.location.href) {
+        if (this.redirectUri) return this.redirectUri;
+
+        return new URL('./', pageUrl).href;
+    }
+}
+
+// Settings in use (replaced by AppConfig.load() before the app starts)
+AppConfig.current = new AppConfig();
+
+// Export for use in other scripts
+window.AppConfig = AppConfig;
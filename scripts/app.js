@@ -5,28 +5,141 @@
 
 class MusicRecommendationApp {
     constructor() {
+        // Settings from config.json, loaded before the app starts (see app-config.js)
+        this.config = AppConfig.current;
+
         // Initialize components
-        this.spotifyAPI = new SpotifyAPI();
+        this.musicProvider = MusicProvider.create();
         this.audioVisualizer = new AudioVisualizer('visualizer-canvas', document.getElementById('audio-player'));
         this.emotionEffects = new EmotionEffects('emotion-canvas');
+        this.emotionDetector = new EmotionDetector();
+        this.moodClassifier = new MoodClassifier();
         
         // State
         this.currentEmotion = null;
+        this.currentMood = null; // emotion key, weighted mix like { calm: 0.6, happy: 0.4 }, or { journey: { from, to, length } }
         this.currentPlaylist = [];
         this.currentlyPlayingTrack = null;
         this.isPlaying = false;
-        this.playlistCache = new Map();
+        this.playlistCache = new PlaylistCache();
+        this.queue = new PlaybackQueue();
+        this.history = new ListeningHistory();
+        this.detectedEmotion = null;
+
+        // Built-in and custom moods (see emotion-registry.js)
+        this.emotions = EmotionRegistry.current;
+
+        // Cancels the searches of the latest emotion selection when a newer one starts
+        this.selectionController = null;
+
+        // Playlists shown from the cache while offline, by cache key -> mood (refreshed when back online)
+        this.stalePlaylists = new Map();
+
+        // In-page Spotify player for Premium accounts (null = embed or audio playback)
+        this.webPlayer = null;
+        this.webPlayerPending = false;
+        this.seekTimer = null;
+        this.isSeeking = false;
+
+        // Embed driven through Spotify's iFrame API, so tracks can advance by themselves
+        this.embedController = new SpotifyEmbedController();
+        this.embedController.onPlaybackUpdate = (state) => this.handleEmbedUpdate(state);
+        this.embedController.onEnded = (trackId) => this.handleEmbedEnded(trackId);
+
+        // Spotify Connect device chosen in the picker (null = play in this browser)
+        this.remoteDeviceId = null;
+        this.remoteDevices = [];
+        // The device moves on by itself, so while it plays we ask it what is playing now and then
+        this.remoteSyncTimer = null;
+        this.remoteSyncInterval = 15000;
+
+        // Previews play through the page's <audio> element (always true for audio providers)
+        this.previewMode = false;
+        this.autoplayPreviews = localStorage.getItem('autoplay_previews') !== 'false';
+
+        // Blend mode: up to three emotions with relative weights (0-100)
+        this.blendMode = false;
+        this.blendWeights = {};
+        this.maxBlendEmotions = 3;
+
+        // Mood journey: playlist length bounds for "from X to Y over N tracks"
+        this.journeyLengthRange = [5, 50];
+
+        // Custom mood open in the mood editor (null = adding a new one)
+        this.editingMoodKey = null;
         
         // DOM elements
         this.elements = {
             emotionGrid: document.getElementById('emotion-grid'),
-            emotionCards: document.querySelectorAll('.emotion-card'),
+            emotionCards: [],
+            languagePicker: document.getElementById('language-picker'),
+            detectMoodButton: document.getElementById('detect-mood-button'),
+            moodTextForm: document.getElementById('mood-text-form'),
+            moodTextInput: document.getElementById('mood-text-input'),
+            moodMix: document.getElementById('mood-mix'),
+            blendToggle: document.getElementById('blend-toggle'),
+            blendPanel: document.getElementById('blend-panel'),
+            blendSliders: document.getElementById('blend-sliders'),
+            journeyToggle: document.getElementById('journey-toggle'),
+            journeyPanel: document.getElementById('journey-panel'),
+            journeyForm: document.getElementById('journey-form'),
+            journeyFrom: document.getElementById('journey-from'),
+            journeyTo: document.getElementById('journey-to'),
+            journeyLength: document.getElementById('journey-length'),
+            moodDetector: document.getElementById('mood-detector'),
+            moodDetectorVideo: document.getElementById('mood-detector-video'),
+            moodDetectorStatus: document.getElementById('mood-detector-status'),
+            moodDetectorConfirm: document.getElementById('mood-detector-confirm'),
+            moodDetectorRetry: document.getElementById('mood-detector-retry'),
+            moodDetectorCancel: document.getElementById('mood-detector-cancel'),
+            moodEditorToggle: document.getElementById('mood-editor-toggle'),
+            moodEditor: document.getElementById('mood-editor'),
+            moodEditorList: document.getElementById('mood-editor-list'),
+            moodEditorForm: document.getElementById('mood-editor-form'),
+            moodEditorTitle: document.getElementById('mood-editor-title'),
+            moodEditorLabel: document.getElementById('mood-editor-label'),
+            moodEditorEmoji: document.getElementById('mood-editor-emoji'),
+            moodEditorQuery: document.getElementById('mood-editor-query'),
+            moodEditorArtists: document.getElementById('mood-editor-artists'),
+            moodEditorPrimary: document.getElementById('mood-editor-primary'),
+            moodEditorSecondary: document.getElementById('mood-editor-secondary'),
+            moodEditorEffect: document.getElementById('mood-editor-effect'),
+            moodEditorError: document.getElementById('mood-editor-error'),
+            moodEditorSave: document.getElementById('mood-editor-save'),
+            moodEditorCancel: document.getElementById('mood-editor-cancel'),
             playlistContainer: document.getElementById('playlist-container'),
             playlistTitle: document.getElementById('playlist-title'),
             playlistLoading: document.getElementById('playlist-loading'),
+            playlistMeta: document.getElementById('playlist-meta'),
+            playlistCacheStatus: document.getElementById('playlist-cache-status'),
+            playlistRefresh: document.getElementById('playlist-refresh'),
+            playlistSave: document.getElementById('playlist-save'),
+            playlistSavedLink: document.getElementById('playlist-saved-link'),
+            autoplayToggle: document.getElementById('autoplay-toggle'),
+            tasteReset: document.getElementById('taste-reset'),
             errorMessage: document.getElementById('error-message'),
+            offlineBanner: document.getElementById('offline-banner'),
+            configDiagnostic: document.getElementById('config-diagnostic'),
+            configDiagnosticTitle: document.getElementById('config-diagnostic-title'),
+            configDiagnosticList: document.getElementById('config-diagnostic-list'),
             authButton: document.getElementById('auth-button'),
             authStatus: document.getElementById('auth-status'),
+            providerSelect: document.getElementById('provider-select'),
+            devicePicker: document.getElementById('device-picker'),
+            deviceSelect: document.getElementById('device-select'),
+            deviceRefresh: document.getElementById('device-refresh'),
+            personalWeightPicker: document.getElementById('personal-weight-picker'),
+            personalWeight: document.getElementById('personal-weight'),
+            personalWeightValue: document.getElementById('personal-weight-value'),
+            statsToggle: document.getElementById('stats-toggle'),
+            statsSection: document.getElementById('stats-section'),
+            statsPeriod: document.getElementById('stats-period'),
+            statsStreaks: document.getElementById('stats-streaks'),
+            statsFrequency: document.getElementById('stats-frequency'),
+            statsArtists: document.getElementById('stats-artists'),
+            statsExportJson: document.getElementById('stats-export-json'),
+            statsExportCsv: document.getElementById('stats-export-csv'),
+            statsClear: document.getElementById('stats-clear'),
             visualizerSection: document.getElementById('visualizer-section'),
             audioPlayer: document.getElementById('audio-player')
         };
@@ -39,81 +152,850 @@ class MusicRecommendationApp {
      * Initialize the application
      */
     async init() {
-        // Handle Spotify OAuth callback (now async for PKCE flow)
-        const authResult = await this.spotifyAPI.handleAuthCallback();
+        // Point out misconfiguration before anything depends on it
+        this.renderConfigDiagnostic();
+
+        // Handle provider sign-in callback (Spotify OAuth is async for PKCE flow)
+        const authResult = await this.musicProvider.handleAuthCallback();
         if (authResult.success) {
             this.updateAuthStatus(true);
         } else {
             if (authResult.error) {
                 this.showError(authResult.errorDescription || authResult.error);
             }
-            this.updateAuthStatus(this.spotifyAPI.isAuthenticated());
+            this.updateAuthStatus(this.musicProvider.isAuthenticated());
         }
         
+        // Render mood, language and music source choices
+        this.renderEmotionGrid();
+        this.renderLanguagePicker();
+        this.renderProviderPicker();
+
         // Set up event listeners
         this.setupEventListeners();
+
+        // Keep auth UI in sync with token refreshes and expiries
+        window.addEventListener('spotify-auth-change', (e) => {
+            this.updateAuthStatus(e.detail.authenticated);
+            if (e.detail.authenticated) {
+                this.setupPlayback();
+            } else {
+                this.teardownWebPlayer();
+                this.renderDevicePicker();
+            }
+        });
+
+        // Premium player and Spotify Connect devices
+        this.setupPlayback();
         
         // Initialize audio visualizer
         this.audioVisualizer.init();
         
         // Handle audio player events
         this.setupAudioPlayer();
+
+        // Installable app shell and offline banner
+        this.setupOfflineMode();
+    }
+
+    /**
+     * List configuration errors and warnings on screen (hidden when there are none)
+     */
+    renderConfigDiagnostic() {
+        const { configDiagnostic, configDiagnosticTitle, configDiagnosticList } = this.elements;
+        const { errors, warnings } = this.config;
+        errors.forEach(message => console.error('Configuration error:', message));
+        warnings.forEach(message => console.warn('Configuration warning:', message));
+
+        if (!configDiagnostic) return;
+        configDiagnosticList.innerHTML = '';
+        [...errors.map(message => ['error', message]), ...warnings.map(message => ['warning', message])]
+            .forEach(([level, message]) => {
+                const item = document.createElement('li');
+                item.className = `config-problem ${level}`;
+                item.textContent = message;
+                configDiagnosticList.appendChild(item);
+            });
+
+        configDiagnosticTitle.textContent = errors.length > 0 ? '⚙️ Configuration problems' : '⚙️ Configuration warnings';
+        configDiagnostic.classList.toggle('has-errors', errors.length > 0);
+        configDiagnostic.style.display = errors.length + warnings.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Register the service worker and follow the connection for the offline banner
+     */
+    setupOfflineMode() {
+        const canRegister = 'serviceWorker' in navigator && window.location.protocol !== 'file:';
+        if (canRegister && this.config.isEnabled('offlineMode')) {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+        } else if (canRegister) {
+            // Switched off in config.json - remove a worker installed earlier
+            navigator.serviceWorker.getRegistrations()
+                .then(registrations => registrations.forEach(registration => registration.unregister()))
+                .catch(error => console.warn('Service worker removal failed:', error));
+        }
+
+        window.addEventListener('offline', () => this.updateOfflineBanner());
+        window.addEventListener('online', () => {
+            this.updateOfflineBanner();
+            this.refreshStalePlaylists();
+        });
+        this.updateOfflineBanner();
+    }
+
+    /**
+     * Show the offline banner while the browser has no connection
+     */
+    updateOfflineBanner() {
+        if (this.elements.offlineBanner) {
+            this.elements.offlineBanner.style.display = navigator.onLine ? 'none' : 'block';
+        }
+    }
+
+    /**
+     * Refetch playlists that were shown from the cache while offline, without a loading indicator
+     * The one on screen is replaced once its fresh copy arrives.
+     */
+    async refreshStalePlaylists() {
+        for (const [cacheKey, mood] of [...this.stalePlaylists]) {
+            if (!navigator.onLine || !this.musicProvider.isAuthenticated()) return;
+
+            // Settings changed since (provider, languages, ...) - the key no longer describes this search
+            this.stalePlaylists.delete(cacheKey);
+            if (this.getPlaylistCacheKey(mood) !== cacheKey) continue;
+
+            try {
+                const playlist = await this.fetchMoodPlaylist(mood);
+                if (playlist.length === 0) {
+                    this.stalePlaylists.set(cacheKey, mood);
+                    continue;
+                }
+                await this.playlistCache.set(cacheKey, playlist);
+
+                // Leave the screen alone while the user is loading something else
+                const isOnScreen = this.currentMood && this.getPlaylistCacheKey(this.currentMood) === cacheKey;
+                if (isOnScreen && !this.selectionController) {
+                    this.displayPlaylist(playlist, { merge: true });
+                    this.showCacheStatus(null);
+                }
+            } catch (error) {
+                console.warn('Background playlist refresh failed:', error);
+                this.stalePlaylists.set(cacheKey, mood);
+            }
+        }
     }
 
     /**
      * Set up event listeners
      */
     setupEventListeners() {
-        // Emotion card clicks
-        this.elements.emotionCards.forEach(card => {
-            card.addEventListener('click', () => {
-                const emotion = card.dataset.emotion;
+        // Emotion card clicks (cards are re-rendered when custom moods change)
+        this.elements.emotionGrid.addEventListener('click', (e) => {
+            const card = e.target.closest('.emotion-card');
+            if (!card) return;
+
+            const emotion = card.dataset.emotion;
+            if (this.blendMode) {
+                this.toggleBlendEmotion(emotion);
+            } else {
                 this.selectEmotion(emotion);
-            });
+            }
         });
+
+        // Blend mode toggle
+        if (this.elements.blendToggle) {
+            this.elements.blendToggle.addEventListener('click', () => this.setBlendMode(!this.blendMode));
+        }
+
+        // Mood journey panel
+        this.setupJourneyPanel();
+
+        // Listening stats dashboard
+        this.setupStatsDashboard();
+
+        // Create, edit and delete custom moods
+        this.setupMoodEditor();
+
+        // Refetch the current playlist, bypassing the cache
+        if (this.elements.playlistRefresh) {
+            this.elements.playlistRefresh.addEventListener('click', () => {
+                if (this.currentMood) {
+                    this.handleEmotionSelection(this.currentMood, { refresh: true });
+                }
+            });
+        }
+
+        // Forget likes and dislikes
+        if (this.elements.tasteReset) {
+            this.elements.tasteReset.addEventListener('click', () => this.resetTaste());
+        }
+
+        // Keep the current playlist in the provider's library
+        if (this.elements.playlistSave) {
+            this.elements.playlistSave.addEventListener('click', () => this.saveCurrentPlaylist());
+        }
+
+        // Continue with the next preview when one ends
+        if (this.elements.autoplayToggle) {
+            this.elements.autoplayToggle.checked = this.autoplayPreviews;
+            this.elements.autoplayToggle.addEventListener('change', () => {
+                this.autoplayPreviews = this.elements.autoplayToggle.checked;
+                localStorage.setItem('autoplay_previews', String(this.autoplayPreviews));
+            });
+        }
         
         // Auth button
         this.elements.authButton.addEventListener('click', () => {
-            if (this.spotifyAPI.isAuthenticated()) {
-                this.spotifyAPI.logout();
+            if (this.musicProvider.isAuthenticated()) {
+                this.musicProvider.logout();
                 this.updateAuthStatus(false);
             } else {
-                this.spotifyAPI.authenticate();
+                this.musicProvider.authenticate().catch(error => this.showError(error.message));
             }
         });
         
+        // Free-text mood input
+        if (this.elements.moodTextForm) {
+            this.elements.moodTextForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleMoodText(this.elements.moodTextInput.value);
+            });
+        }
+
+        // Camera mood detection (opt-in)
+        this.setupMoodDetector();
+        
         // Debounce for emotion selection
-        this.debouncedSelectEmotion = this.debounce((emotion) => {
-            this.handleEmotionSelection(emotion);
+        this.debouncedSelectEmotion = this.debounce((mood) => {
+            this.handleEmotionSelection(mood);
+        }, 300);
+
+        // Spotify Connect device picker
+        if (this.elements.deviceSelect) {
+            this.elements.deviceSelect.addEventListener('change', () => this.selectDevice(this.elements.deviceSelect.value));
+            this.elements.deviceRefresh.addEventListener('click', () => this.renderDevicePicker());
+        }
+
+        // Personal taste vs curated seeds (applied when the slider is released)
+        if (this.elements.personalWeight) {
+            this.elements.personalWeight.addEventListener('input', () => {
+                this.elements.personalWeightValue.textContent = `${this.elements.personalWeight.value}%`;
+            });
+            this.elements.personalWeight.addEventListener('change', () => {
+                this.musicProvider.setPersonalWeight(Number(this.elements.personalWeight.value) / 100);
+                this.reloadCurrentMood();
+            });
+        }
+
+        // Debounce remote volume changes (one API call per drag)
+        this.debouncedDeviceVolume = this.debounce((volume) => {
+            this.musicProvider.setDeviceVolume(this.remoteDeviceId, volume).catch(error => {
+                console.warn('Could not set device volume:', error);
+            });
         }, 300);
     }
 
+    /**
+     * Render one card per mood from the registry, keeping the highlighted ones
+     */
+    renderEmotionGrid() {
+        const grid = this.elements.emotionGrid;
+        if (!grid) return;
+
+        const active = new Set(Array.from(this.elements.emotionCards)
+            .filter(card => card.classList.contains('active'))
+            .map(card => card.dataset.emotion));
+        grid.innerHTML = '';
+
+        this.emotions.getAll().forEach(emotion => {
+            const card = document.createElement('div');
+            card.className = 'emotion-card';
+            card.classList.toggle('custom', !emotion.builtIn);
+            card.classList.toggle('active', active.has(emotion.key));
+            card.dataset.emotion = emotion.key;
+            card.style.setProperty('--emotion-gradient', this.emotions.getGradient(emotion.key));
+
+            const emoji = document.createElement('div');
+            emoji.className = 'emotion-emoji';
+            emoji.textContent = emotion.emoji;
+
+            const label = document.createElement('div');
+            label.className = 'emotion-label';
+            label.textContent = emotion.label;
+
+            card.appendChild(emoji);
+            card.appendChild(label);
+            grid.appendChild(card);
+        });
+
+        this.elements.emotionCards = grid.querySelectorAll('.emotion-card');
+    }
+
+    /**
+     * Render language checkboxes from the available language profiles
+     */
+    renderLanguagePicker() {
+        const picker = this.elements.languagePicker;
+        if (!picker) return;
+
+        const selected = this.musicProvider.getLanguages();
+        picker.innerHTML = '';
+
+        Object.entries(LanguageProfiles).forEach(([key, profile]) => {
+            const option = document.createElement('label');
+            option.className = 'language-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = key;
+            checkbox.checked = selected.includes(key);
+            checkbox.addEventListener('change', () => this.handleLanguageChange(checkbox));
+
+            const label = document.createElement('span');
+            label.textContent = profile.label;
+
+            option.appendChild(checkbox);
+            option.appendChild(label);
+            picker.appendChild(option);
+        });
+    }
+
+    /**
+     * Apply a language selection change and refresh the current playlist
+     */
+    handleLanguageChange(checkbox) {
+        const checked = Array.from(this.elements.languagePicker.querySelectorAll('input:checked'))
+            .map(input => input.value);
+
+        // At least one language must stay selected
+        if (checked.length === 0) {
+            checkbox.checked = true;
+            return;
+        }
+
+        this.musicProvider.setLanguages(checked);
+
+        this.reloadCurrentMood();
+    }
+
+    /**
+     * Cache key for a mood under the current provider and language selection
+     */
+    getPlaylistCacheKey(mood) {
+        // Edited custom moods get a new key, so their old playlists aren't reused
+        const key = (emotion) => this.emotions.getVersionedKey(emotion);
+        let moodKey;
+        if (typeof mood === 'string') {
+            moodKey = key(mood);
+        } else if (mood.journey) {
+            moodKey = `journey:${key(mood.journey.from)}>${key(mood.journey.to)}:${mood.journey.length}`;
+        } else {
+            moodKey = Object.entries(mood).map(([emotion, weight]) => `${key(emotion)}:${weight}`).join('+');
+        }
+        const personal = this.musicProvider.canPersonalize ? `|personal:${this.musicProvider.personalWeight}` : '';
+        return `${this.musicProvider.constructor.name}|${moodKey}|${this.musicProvider.getLanguages().join(',')}${personal}`;
+    }
+
+    /**
+     * Render the music source options from the registered providers
+     */
+    renderProviderPicker() {
+        const select = this.elements.providerSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(MusicProvider.registry).forEach(([key, ProviderClass]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = ProviderClass.prototype.label;
+            option.selected = this.musicProvider instanceof ProviderClass;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', () => this.switchProvider(select.value));
+    }
+
+    /**
+     * Switch to another music provider and reload the current mood
+     */
+    switchProvider(key) {
+        this.clearPlaylist();
+        this.teardownWebPlayer();
+        this.musicProvider = MusicProvider.create(key);
+        this.updateAuthStatus(this.musicProvider.isAuthenticated());
+        this.renderLanguagePicker();
+        this.setupPlayback();
+
+        this.reloadCurrentMood();
+    }
+
+    /**
+     * Connect the in-page player, then list devices (which leaves the in-page one out)
+     */
+    async setupPlayback() {
+        await this.setupWebPlayer();
+        await this.renderDevicePicker();
+    }
+
+    /**
+     * Fill the "Play on" picker with the user's Spotify Connect devices
+     */
+    async renderDevicePicker() {
+        const { devicePicker, deviceSelect } = this.elements;
+        if (!devicePicker) return;
+
+        const available = this.musicProvider.canControlDevices && this.musicProvider.isAuthenticated();
+        devicePicker.style.display = available ? 'flex' : 'none';
+        if (!available) {
+            this.remoteDeviceId = null;
+            this.remoteDevices = [];
+            return;
+        }
+
+        let devices = [];
+        try {
+            devices = await this.musicProvider.getDevices();
+        } catch (error) {
+            console.warn('Could not list Spotify devices:', error);
+        }
+
+        // The in-page player is already "This browser"
+        const webPlayerId = this.webPlayer ? this.webPlayer.deviceId : null;
+        this.remoteDevices = devices.filter(device => device.id !== webPlayerId);
+
+        deviceSelect.innerHTML = '';
+        const browserOption = document.createElement('option');
+        browserOption.value = '';
+        browserOption.textContent = 'This browser';
+        deviceSelect.appendChild(browserOption);
+
+        this.remoteDevices.forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.id;
+            option.textContent = `${device.name} (${device.type})${device.isActive ? ' - active' : ''}`;
+            deviceSelect.appendChild(option);
+        });
+
+        // Keep the stored choice while that device is online
+        const stored = localStorage.getItem('spotify_device_id');
+        this.remoteDeviceId = this.remoteDevices.some(device => device.id === stored) ? stored : null;
+        deviceSelect.value = this.remoteDeviceId || '';
+    }
+
+    /**
+     * Use a different device for playback
+     */
+    selectDevice(deviceId) {
+        this.remoteDeviceId = deviceId || null;
+        if (this.remoteDeviceId) {
+            localStorage.setItem('spotify_device_id', this.remoteDeviceId);
+        } else {
+            localStorage.removeItem('spotify_device_id');
+        }
+    }
+
+    /**
+     * Whether tracks play on a remote Spotify Connect device
+     */
+    isUsingRemoteDevice() {
+        return Boolean(this.remoteDeviceId && this.musicProvider.canControlDevices && this.musicProvider.playbackMode === 'embed');
+    }
+
+    /**
+     * Name of the selected remote device
+     */
+    getRemoteDeviceName() {
+        const device = this.remoteDevices.find(item => item.id === this.remoteDeviceId);
+        return device ? device.name : 'the selected device';
+    }
+
+    /**
+     * Start a track on the remote device, queueing the rest of the queue after it
+     */
+    async playOnRemoteDevice(track) {
+        const trackIds = [track.id, ...this.queue.upcoming().map(item => item.id)];
+
+        try {
+            await this.musicProvider.playOnDevice(this.remoteDeviceId, trackIds, 0);
+            this.isPlaying = true;
+            this.scheduleRemoteSync();
+        } catch (error) {
+            console.error('Remote playback error:', error);
+            this.isPlaying = false;
+            this.showError(`Couldn't play on ${this.getRemoteDeviceName()}. Open Spotify on that device and try again, or pick another device.`);
+            this.renderDevicePicker();
+        }
+        this.updateControlButtonStates();
+    }
+
+    /**
+     * Send play, pause, next or previous to the remote device
+     */
+    async controlRemoteDevice(command) {
+        try {
+            await this.musicProvider.controlDevice(this.remoteDeviceId, command);
+        } catch (error) {
+            console.error('Remote control error:', error);
+            this.showError(`Couldn't control ${this.getRemoteDeviceName()}. ${error.message}`);
+            return;
+        }
+
+        if (command === 'pause' || command === 'play') {
+            this.isPlaying = command === 'play';
+            this.updateControlButtonStates();
+        }
+
+        // The device may have moved on by itself; give it a moment, then ask what is playing
+        this.scheduleRemoteSync(800);
+    }
+
+    /**
+     * Ask the remote device what is playing after a delay (replaces any pending check)
+     */
+    scheduleRemoteSync(delay = this.remoteSyncInterval) {
+        clearTimeout(this.remoteSyncTimer);
+        this.remoteSyncTimer = setTimeout(() => this.syncRemotePlayback(), delay);
+    }
+
+    /**
+     * Update the now-playing track from the remote device
+     */
+    async syncRemotePlayback() {
+        if (!this.isUsingRemoteDevice()) return;
+
+        try {
+            const state = await this.musicProvider.getPlaybackState();
+            if (!state) return;
+
+            const track = this.currentPlaylist.find(item => item.id === state.trackId);
+            if (track) {
+                // A different track means the device advanced on its own
+                if (!this.currentlyPlayingTrack || this.currentlyPlayingTrack.id !== track.id) {
+                    this.recordPlay(track);
+                }
+                this.currentlyPlayingTrack = track;
+                this.queue.setCurrent(track);
+                this.updateJourneyProgress(track);
+                this.showSpotifyPlayer(track);
+            }
+            this.isPlaying = state.isPlaying;
+            this.updateControlButtonStates();
+            if (state.isPlaying) {
+                this.scheduleRemoteSync();
+            }
+        } catch (error) {
+            console.warn('Could not read remote playback state:', error);
+        }
+    }
+
+    /**
+     * Connect the provider's in-page player if the account allows it
+     */
+    async setupWebPlayer() {
+        if (this.webPlayer || this.webPlayerPending || !this.musicProvider.isAuthenticated()) return;
+
+        const provider = this.musicProvider;
+        this.webPlayerPending = true;
+        try {
+            const player = await provider.createWebPlayer();
+            if (!player) return;
+
+            // The provider changed while connecting
+            if (provider !== this.musicProvider) {
+                player.disconnect();
+                return;
+            }
+
+            player.onStateChange = (state) => this.handlePlayerState(state);
+            player.onEnded = (trackId) => this.handlePlayerEnded(trackId);
+            player.onDisconnect = () => {
+                this.teardownWebPlayer();
+                this.showError('Spotify playback device disconnected. Using the embedded player instead.');
+            };
+            this.webPlayer = player;
+        } catch (error) {
+            console.warn('Web Playback SDK unavailable, using the embedded player:', error);
+        } finally {
+            this.webPlayerPending = false;
+        }
+    }
+
+    /**
+     * Disconnect the in-page player and fall back to the embed
+     */
+    teardownWebPlayer() {
+        if (!this.webPlayer) return;
+
+        this.webPlayer.onDisconnect = null;
+        this.webPlayer.disconnect();
+        this.webPlayer = null;
+        this.stopSeekTimer();
+        this.updateSeekBar();
+    }
+
+    /**
+     * Whether tracks play through the in-page player
+     */
+    isUsingWebPlayer() {
+        return Boolean(this.webPlayer && this.webPlayer.ready && this.musicProvider.playbackMode === 'embed');
+    }
+
+    /**
+     * Whether tracks play through the Spotify embed
+     */
+    isUsingEmbed() {
+        return this.musicProvider.playbackMode === 'embed' && !this.previewMode && !this.isUsingWebPlayer() && !this.isUsingRemoteDevice();
+    }
+
+    /**
+     * Reflect embed playback in the custom controls
+     */
+    handleEmbedUpdate(state) {
+        if (!this.isUsingEmbed()) return;
+
+        this.isPlaying = !state.isPaused;
+        this.updateControlButtonStates();
+    }
+
+    /**
+     * Move on through the queue when the embedded track finishes
+     */
+    handleEmbedEnded(trackId) {
+        if (!this.isUsingEmbed()) return;
+        this.advanceAfter(trackId);
+    }
+
+    /**
+     * Move on through the queue when the in-page player's track finishes
+     */
+    handlePlayerEnded(trackId) {
+        if (!this.isUsingWebPlayer() || this.previewMode) return;
+        this.advanceAfter(trackId);
+    }
+
+    /**
+     * Play the queue's next track once the current one has finished by itself
+     */
+    advanceAfter(trackId) {
+        if (!this.currentlyPlayingTrack || this.currentlyPlayingTrack.id !== trackId) return;
+
+        const nextTrack = this.queue.next({ auto: true });
+        if (nextTrack) {
+            this.playTrack(nextTrack);
+        } else {
+            this.isPlaying = false;
+            this.updateControlButtonStates();
+        }
+    }
+
+    /**
+     * Reflect in-page player state in the custom controls
+     */
+    handlePlayerState(state) {
+        this.isPlaying = Boolean(state && !state.paused);
+
+        if (this.isPlaying) {
+            this.startSeekTimer();
+        } else {
+            this.stopSeekTimer();
+        }
+
+        this.updateSeekBar();
+        this.updateControlButtonStates();
+    }
+
+    /**
+     * Tick the seek bar while playing (the SDK only reports on changes)
+     */
+    startSeekTimer() {
+        if (this.seekTimer) return;
+        this.seekTimer = setInterval(() => this.updateSeekBar(), 500);
+    }
+
+    /**
+     * Stop ticking the seek bar
+     */
+    stopSeekTimer() {
+        if (this.seekTimer) {
+            clearInterval(this.seekTimer);
+            this.seekTimer = null;
+        }
+    }
+
+    /**
+     * Update the seek bar and times from the in-page player
+     */
+    updateSeekBar() {
+        const seekRow = document.querySelector('.seek-row');
+        if (!seekRow) return;
+
+        const state = this.isUsingWebPlayer() ? this.webPlayer.state : null;
+        seekRow.style.display = this.isUsingWebPlayer() ? 'flex' : 'none';
+        if (!state || this.isSeeking) return;
+
+        const position = this.webPlayer.getPosition();
+        const seekControl = seekRow.querySelector('.seek-control');
+        seekControl.max = String(state.duration);
+        seekControl.value = String(position);
+        seekRow.querySelector('.seek-position').textContent = this.formatTime(position);
+        seekRow.querySelector('.seek-duration').textContent = this.formatTime(state.duration);
+    }
+
+    /**
+     * Format milliseconds as m:ss
+     */
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${Math.floor(totalSeconds / 60)}:${seconds}`;
+    }
+
+    /**
+     * Set up the opt-in camera mood detector
+     */
+    setupMoodDetector() {
+        if (!this.elements.detectMoodButton) return;
+
+        if (!this.config.isEnabled('cameraDetection') || !EmotionDetector.isSupported()) {
+            this.elements.detectMoodButton.style.display = 'none';
+            return;
+        }
+
+        this.elements.detectMoodButton.addEventListener('click', () => this.openMoodDetector());
+        this.elements.moodDetectorRetry.addEventListener('click', () => this.runMoodDetection());
+        this.elements.moodDetectorCancel.addEventListener('click', () => this.closeMoodDetector());
+        this.elements.moodDetectorConfirm.addEventListener('click', () => {
+            // Only switch mood once the user has confirmed the prediction
+            const emotion = this.detectedEmotion;
+            this.closeMoodDetector();
+            if (emotion) {
+                this.selectEmotion(emotion);
+            }
+        });
+    }
+
+    /**
+     * Show the mood detector and load the model
+     */
+    async openMoodDetector() {
+        this.elements.moodDetector.style.display = 'flex';
+        this.elements.detectMoodButton.disabled = true;
+        this.setMoodDetectorStatus('Loading face expression model...');
+
+        try {
+            await this.emotionDetector.loadModel();
+        } catch (error) {
+            console.error('Emotion model load error:', error);
+            this.setMoodDetectorStatus('Unable to load the face expression model. Please try again later.');
+            this.elements.moodDetectorRetry.disabled = false;
+            return;
+        }
+
+        this.runMoodDetection();
+    }
+
+    /**
+     * Start the camera, sample a few frames and show the prediction
+     */
+    async runMoodDetection() {
+        const { moodDetectorConfirm, moodDetectorRetry, moodDetectorVideo } = this.elements;
+        this.detectedEmotion = null;
+        moodDetectorConfirm.disabled = true;
+        moodDetectorRetry.disabled = true;
+
+        try {
+            await this.emotionDetector.loadModel();
+            this.setMoodDetectorStatus('Starting camera...');
+            await this.emotionDetector.start(moodDetectorVideo);
+            this.setMoodDetectorStatus('Look at the camera for a moment...');
+
+            const result = await this.emotionDetector.detect();
+            if (!result) {
+                this.setMoodDetectorStatus('No face detected. Make sure your face is visible and well lit.');
+            } else {
+                this.detectedEmotion = result.emotion;
+                const detected = this.emotions.get(result.emotion);
+                const emoji = detected ? detected.emoji : '';
+                this.setMoodDetectorStatus(
+                    `You seem ${emoji} ${this.emotions.getLabel(result.emotion)} (${Math.round(result.confidence * 100)}% confidence)`
+                );
+                moodDetectorConfirm.disabled = false;
+            }
+        } catch (error) {
+            console.error('Mood detection error:', error);
+            const denied = error.name === 'NotAllowedError' || error.name === 'SecurityError';
+            this.setMoodDetectorStatus(denied
+                ? 'Camera access was denied. Allow camera access to detect your mood.'
+                : 'Unable to detect your mood. Please try again.');
+        } finally {
+            // Keep the camera on only while sampling
+            this.emotionDetector.stop();
+            moodDetectorRetry.disabled = false;
+        }
+    }
+
+    /**
+     * Hide the mood detector and release the camera
+     */
+    closeMoodDetector() {
+        this.emotionDetector.stop();
+        this.detectedEmotion = null;
+        this.elements.moodDetector.style.display = 'none';
+        this.elements.detectMoodButton.disabled = false;
+    }
+
+    /**
+     * Update the mood detector status line
+     */
+    setMoodDetectorStatus(message) {
+        this.elements.moodDetectorStatus.textContent = message;
+    }
+
     /**
      * Set up audio player event handlers
      */
     setupAudioPlayer() {
         const audio = this.elements.audioPlayer;
         
+        // Provider playback (embed, in-page player, remote device) has its own state
         audio.addEventListener('play', () => {
+            if (!this.previewMode) return;
             this.isPlaying = true;
             this.audioVisualizer.start();
             this.updateControlButtonStates();
         });
         
         audio.addEventListener('pause', () => {
+            if (!this.previewMode) return;
             this.isPlaying = false;
             this.audioVisualizer.stop();
             this.updateControlButtonStates();
         });
         
         audio.addEventListener('ended', () => {
+            if (!this.previewMode) return;
             this.isPlaying = false;
-            this.currentlyPlayingTrack = null;
             this.audioVisualizer.stop();
+
+            // Continue with the next track in the queue that has a preview (repeat-one replays this one)
+            const shouldContinue = this.autoplayPreviews || this.queue.repeat === 'one';
+            const nextTrack = shouldContinue && this.currentlyPlayingTrack
+                ? this.queue.next({ auto: true, previewOnly: true })
+                : null;
+            if (nextTrack) {
+                this.playPreview(nextTrack);
+                return;
+            }
+
+            this.currentlyPlayingTrack = null;
             this.updateControlButtonStates();
         });
         
         audio.addEventListener('error', (e) => {
+            if (!this.previewMode || !audio.getAttribute('src')) return;
             console.error('Audio playback error:', e);
             this.showError('Unable to play this track preview.');
             this.isPlaying = false;
@@ -124,16 +1006,24 @@ class MusicRecommendationApp {
 
     /**
      * Select emotion and trigger playlist fetch
+     * record: false skips the listening history (re-running the same mood)
      */
-    async selectEmotion(emotion) {
+    async selectEmotion(emotion, { record = true } = {}) {
+        if (record) {
+            this.history.logMood(emotion);
+            this.renderStats();
+        }
+
         // Update UI
         this.elements.emotionCards.forEach(card => {
             card.classList.toggle('active', card.dataset.emotion === emotion);
         });
+        this.showMoodMix(null);
         
         // Update background effects
         this.emotionEffects.setEmotion(emotion);
         this.currentEmotion = emotion;
+        this.currentMood = emotion;
         this.audioVisualizer.setEmotion(emotion);
         
         // Clear current playlist display
@@ -146,77 +1036,640 @@ class MusicRecommendationApp {
         this.debouncedSelectEmotion(emotion);
     }
 
+    /**
+     * Classify free text into a mood mix and load music for it
+     */
+    handleMoodText(text) {
+        const mix = this.moodClassifier.classify(text);
+        if (!mix) {
+            this.showError('Couldn\'t tell how you feel from that. Try words like "stressed", "hopeful" or "lazy sunday", or pick a card.');
+            return;
+        }
+        this.hideError();
+
+        // Let the sliders fine-tune the detected mix
+        if (this.blendMode) {
+            this.blendWeights = this.mixToBlendWeights(mix);
+            this.renderBlendSliders();
+        }
+        this.selectMoodMix(mix);
+    }
+
+    /**
+     * Turn blend mode on or off
+     */
+    setBlendMode(enabled) {
+        this.blendMode = enabled;
+        this.elements.blendToggle.classList.toggle('active', enabled);
+        this.elements.blendToggle.setAttribute('aria-pressed', String(enabled));
+        this.elements.blendPanel.style.display = enabled ? 'block' : 'none';
+
+        if (enabled) {
+            // Start from whatever is currently selected
+            if (typeof this.currentMood === 'string') {
+                this.blendWeights = { [this.currentMood]: 100 };
+            } else if (this.currentMood && !this.currentMood.journey) {
+                this.blendWeights = this.mixToBlendWeights(this.currentMood);
+            } else {
+                this.blendWeights = {};
+            }
+            this.renderBlendSliders();
+        }
+    }
+
+    /**
+     * Convert a 0-1 mix into 0-100 slider weights
+     */
+    mixToBlendWeights(mix) {
+        const weights = {};
+        Object.entries(mix).slice(0, this.maxBlendEmotions).forEach(([emotion, weight]) => {
+            weights[emotion] = Math.max(5, Math.round(weight * 100));
+        });
+        return weights;
+    }
+
+    /**
+     * Add or remove an emotion from the blend
+     */
+    toggleBlendEmotion(emotion) {
+        if (this.blendWeights[emotion]) {
+            delete this.blendWeights[emotion];
+        } else if (Object.keys(this.blendWeights).length >= this.maxBlendEmotions) {
+            this.showError(`You can blend up to ${this.maxBlendEmotions} moods. Remove one first.`);
+            return;
+        } else {
+            this.blendWeights[emotion] = 50;
+        }
+
+        this.hideError();
+        this.renderBlendSliders();
+        this.applyBlend();
+    }
+
+    /**
+     * Render one weight slider per blended emotion
+     */
+    renderBlendSliders() {
+        const container = this.elements.blendSliders;
+        container.innerHTML = '';
+
+        const emotions = Object.keys(this.blendWeights);
+        if (emotions.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'blend-hint';
+            hint.textContent = `Tap up to ${this.maxBlendEmotions} mood cards to blend them.`;
+            container.appendChild(hint);
+            return;
+        }
+
+        emotions.forEach(emotion => {
+            const row = document.createElement('div');
+            row.className = 'blend-slider-row';
+
+            const label = document.createElement('label');
+            label.className = 'blend-slider-label';
+            label.htmlFor = `blend-slider-${emotion}`;
+            label.textContent = this.emotions.getLabel(emotion);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = `blend-slider-${emotion}`;
+            slider.className = 'blend-slider';
+            slider.min = '5';
+            slider.max = '100';
+            slider.value = String(this.blendWeights[emotion]);
+
+            const share = document.createElement('span');
+            share.className = 'blend-slider-share';
+            share.dataset.emotion = emotion;
+
+            // Update percentages while dragging, fetch once released
+            slider.addEventListener('input', () => {
+                this.blendWeights[emotion] = parseInt(slider.value, 10);
+                this.updateBlendShares();
+            });
+            slider.addEventListener('change', () => this.applyBlend());
+
+            row.appendChild(label);
+            row.appendChild(slider);
+            row.appendChild(share);
+            container.appendChild(row);
+        });
+
+        this.updateBlendShares();
+    }
+
+    /**
+     * Show each slider's share of the total
+     */
+    updateBlendShares() {
+        const mix = this.getBlendMix();
+        this.elements.blendSliders.querySelectorAll('.blend-slider-share').forEach(share => {
+            share.textContent = `${Math.round((mix[share.dataset.emotion] || 0) * 100)}%`;
+        });
+    }
+
+    /**
+     * Normalised blend, e.g. { chill: 0.7, romantic: 0.3 }
+     */
+    getBlendMix() {
+        const total = Object.values(this.blendWeights).reduce((sum, weight) => sum + weight, 0);
+        const mix = {};
+        Object.entries(this.blendWeights).forEach(([emotion, weight]) => {
+            mix[emotion] = Math.round((weight / total) * 100) / 100;
+        });
+        return mix;
+    }
+
+    /**
+     * Load music for the current blend
+     */
+    applyBlend() {
+        const emotions = Object.keys(this.blendWeights);
+        if (emotions.length === 1) {
+            this.selectEmotion(emotions[0]);
+        } else if (emotions.length > 1) {
+            this.selectMoodMix(this.getBlendMix());
+        } else {
+            // Nothing left to blend
+            this.elements.emotionCards.forEach(card => card.classList.remove('active'));
+            this.emotionEffects.setEmotionMix({});
+            this.currentMood = null;
+            this.clearPlaylist();
+        }
+    }
+
+    /**
+     * Select a weighted emotion mix and trigger playlist fetch
+     */
+    selectMoodMix(mix) {
+        const dominant = MoodClassifier.dominant(mix);
+
+        // Highlight every emotion in the mix
+        this.elements.emotionCards.forEach(card => {
+            card.classList.toggle('active', Boolean(mix[card.dataset.emotion]));
+        });
+        this.showMoodMix(mix);
+
+        // Background and visualizer colours blend to match
+        this.emotionEffects.setEmotionMix(mix);
+        this.currentEmotion = dominant;
+        this.currentMood = mix;
+        this.audioVisualizer.setEmotionMix(mix);
+
+        this.clearPlaylist();
+        this.elements.visualizerSection.classList.add('active');
+        this.debouncedSelectEmotion(mix);
+    }
+
+    /**
+     * Fill the journey selects from the registry and wire up the panel
+     */
+    setupJourneyPanel() {
+        if (!this.elements.journeyToggle) return;
+
+        this.renderJourneyOptions();
+
+        const [minLength, maxLength] = this.journeyLengthRange;
+        this.elements.journeyLength.min = String(minLength);
+        this.elements.journeyLength.max = String(maxLength);
+
+        this.elements.journeyToggle.addEventListener('click', () => {
+            const open = this.elements.journeyPanel.style.display === 'none';
+            this.elements.journeyPanel.style.display = open ? 'block' : 'none';
+            this.elements.journeyToggle.classList.toggle('active', open);
+            this.elements.journeyToggle.setAttribute('aria-pressed', String(open));
+        });
+
+        this.elements.journeyForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const from = this.elements.journeyFrom.value;
+            const to = this.elements.journeyTo.value;
+            if (from === to) {
+                this.showError('Pick two different moods for the journey.');
+                return;
+            }
+
+            const length = parseInt(this.elements.journeyLength.value, 10) || 20;
+            const clamped = Math.min(maxLength, Math.max(minLength, length));
+            this.elements.journeyLength.value = String(clamped);
+            this.hideError();
+            this.startJourney(from, to, clamped);
+        });
+    }
+
+    /**
+     * One option per mood in both journey selects, keeping the current choices where they still exist
+     */
+    renderJourneyOptions() {
+        const { journeyFrom, journeyTo } = this.elements;
+        if (!journeyFrom) return;
+
+        const emotions = this.emotions.getKeys();
+        const defaults = [
+            [journeyFrom, emotions.includes('sad') ? 'sad' : emotions[0]],
+            [journeyTo, emotions.includes('motivation') ? 'motivation' : emotions[emotions.length - 1]]
+        ];
+        defaults.forEach(([select, fallback]) => {
+            const previous = select.value;
+            select.innerHTML = '';
+            emotions.forEach(emotion => {
+                const option = document.createElement('option');
+                option.value = emotion;
+                option.textContent = this.emotions.getLabel(emotion);
+                select.appendChild(option);
+            });
+            select.value = emotions.includes(previous) ? previous : fallback;
+        });
+    }
+
+    /**
+     * Start a playlist that moves from one emotion to another over a number of tracks
+     */
+    startJourney(from, to, length = 20) {
+        if (this.blendMode) {
+            this.setBlendMode(false);
+        }
+
+        this.elements.emotionCards.forEach(card => {
+            card.classList.toggle('active', card.dataset.emotion === from || card.dataset.emotion === to);
+        });
+        this.showMoodMix(null);
+
+        // Both effects run from the start; the 'to' layer fades in as the journey plays
+        this.emotionEffects.setEmotionMix({ [from]: 1, [to]: 1 });
+        this.emotionEffects.fadeToMix({ [from]: 1, [to]: 0 }, true);
+        this.audioVisualizer.setEmotion(from);
+        this.currentEmotion = from;
+        this.currentMood = { journey: { from, to, length } };
+
+        this.clearPlaylist();
+        this.elements.visualizerSection.classList.add('active');
+        this.debouncedSelectEmotion(this.currentMood);
+    }
+
+    /**
+     * Cross-fade effects and colours to a track's position along the journey
+     */
+    updateJourneyProgress(track) {
+        const journey = this.currentMood && this.currentMood.journey;
+        if (!journey || !track) return;
+
+        const index = this.currentPlaylist.findIndex(item => item.id === track.id);
+        if (index === -1) return;
+
+        const progress = this.currentPlaylist.length > 1 ? index / (this.currentPlaylist.length - 1) : 1;
+        const mix = { [journey.from]: 1 - progress, [journey.to]: progress };
+        this.emotionEffects.fadeToMix(mix);
+        this.audioVisualizer.setEmotionMix(mix);
+        this.currentEmotion = progress < 0.5 ? journey.from : journey.to;
+    }
+
+    /**
+     * Re-run the current mood (after a language or provider change)
+     */
+    reloadCurrentMood() {
+        if (!this.currentMood) return;
+        if (typeof this.currentMood === 'string') {
+            this.selectEmotion(this.currentMood, { record: false });
+        } else if (this.currentMood.journey) {
+            const { from, to, length } = this.currentMood.journey;
+            this.startJourney(from, to, length);
+        } else {
+            this.selectMoodMix(this.currentMood);
+        }
+    }
+
+    /**
+     * Show the detected mood mix under the text box (null hides it)
+     */
+    showMoodMix(mix) {
+        const container = this.elements.moodMix;
+        if (!container) return;
+
+        container.textContent = mix ? `Detected mood: ${this.describeMood(mix)}` : '';
+        container.style.display = mix ? 'block' : 'none';
+    }
+
+    /**
+     * Readable mood name, e.g. "Calm 60% · Happy 40%"
+     */
+    describeMood(mood) {
+        if (typeof mood === 'string') {
+            return this.emotions.getLabel(mood);
+        }
+        if (mood.journey) {
+            return `${this.emotions.getLabel(mood.journey.from)} → ${this.emotions.getLabel(mood.journey.to)} journey`;
+        }
+        return Object.entries(mood)
+            .map(([emotion, weight]) => `${this.emotions.getLabel(emotion)} ${Math.round(weight * 100)}%`)
+            .join(' · ');
+    }
+
     /**
      * Handle emotion selection (after debounce)
+     * Accepts an emotion key or a weighted emotion mix.
+     * Pass { refresh: true } to skip a fresh cached playlist and fetch again.
+     * Starting a selection cancels the previous one, whose results are then discarded.
      */
-    async handleEmotionSelection(emotion) {
-        // Check authentication
-        if (!this.spotifyAPI.isAuthenticated()) {
-            this.showError('Please connect to Spotify first to discover music.');
+    async handleEmotionSelection(emotion, options = {}) {
+        if (this.selectionController) {
+            this.selectionController.abort();
+            this.selectionController = null;
+        }
+
+        // Check authentication (nothing is pending afterwards, so the stale playlist refresh can still run)
+        if (!this.musicProvider.isAuthenticated()) {
+            this.showLoading(false);
+            this.showError(`Please connect to ${this.musicProvider.label} first to discover music.`);
             return;
         }
+
+        const selection = new AbortController();
+        this.selectionController = selection;
+        const { signal } = selection;
         
         // Update playlist title
-        this.elements.playlistTitle.textContent = `Music for ${this.capitalizeFirst(emotion)} mood`;
+        this.elements.playlistTitle.textContent = `Music for ${this.describeMood(emotion)} mood`;
         
         // Show loading
         this.showLoading(true);
         this.hideError();
         
+        const cacheKey = this.getPlaylistCacheKey(emotion);
+        let cached = null;
+        
         try {
-            // Check cache first
-            if (this.playlistCache.has(emotion)) {
-                const cachedPlaylist = this.playlistCache.get(emotion);
-                this.displayPlaylist(cachedPlaylist);
+            // Check cache first (expired entries are kept as an offline fallback)
+            cached = await this.playlistCache.get(cacheKey);
+            if (signal.aborted) return;
+            if (cached && !cached.expired && !options.refresh) {
+                this.displayPlaylist(cached.tracks);
+                this.showCacheStatus(cached);
                 this.showLoading(false);
                 return;
             }
-            
-            // Fetch from API with retry logic
-            let playlist = await this.spotifyAPI.searchByEmotion(emotion, 20);
-            
-            // If first attempt fails, try once more
-            if (!playlist || playlist.length === 0) {
-                console.log('First attempt failed, retrying...');
-                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-                playlist = await this.spotifyAPI.searchByEmotion(emotion, 20);
+
+            // Offline: show the saved playlist straight away and refresh it once the connection returns
+            if (cached && !navigator.onLine) {
+                this.showOfflinePlaylist(cacheKey, emotion, cached);
+                return;
             }
             
+            // Fetch from the provider (rate limits and server errors are retried there),
+            // showing tracks as they arrive until the final ranking is ready
+            // (later updates keep what the user queued from the earlier ones)
+            let streamed = false;
+            const playlist = await this.fetchMoodPlaylist(emotion, {
+                signal,
+                onPartial: (tracks) => {
+                    if (signal.aborted) return;
+                    this.displayPlaylist(tracks, { merge: streamed });
+                    streamed = true;
+                }
+            });
+            if (signal.aborted) return;
+            
             if (playlist && playlist.length > 0) {
                 // Cache the playlist
-                this.playlistCache.set(emotion, playlist);
-                this.displayPlaylist(playlist);
+                await this.playlistCache.set(cacheKey, playlist);
+                if (signal.aborted) return;
+                this.displayPlaylist(playlist, { merge: streamed });
+                this.showCacheStatus(null);
+            } else if (cached) {
+                // Nothing came back (e.g. offline) - fall back to the saved playlist
+                this.showOfflinePlaylist(cacheKey, emotion, cached);
             } else {
                 // Show a more helpful message with retry option
                 this.showErrorWithRetry('Unable to load songs right now. Please check your internet connection and try again.', emotion);
             }
         } catch (error) {
+            // A newer selection took over
+            if (signal.aborted) return;
+
             console.error('Error fetching playlist:', error);
             
             // Check if it's a network error
             const isNetworkError = !navigator.onLine || error.message.includes('fetch') || error.message.includes('network');
             
-            if (isNetworkError) {
+            if (cached) {
+                this.showOfflinePlaylist(cacheKey, emotion, cached);
+            } else if (isNetworkError) {
                 this.showErrorWithRetry('Network connection issue. Please check your internet connection and try again.', emotion);
             } else {
                 this.showError(error.message || 'Failed to fetch playlist. Please try again.');
             }
         } finally {
-            this.showLoading(false);
+            // The newer selection owns the loading indicator
+            if (this.selectionController === selection) {
+                this.selectionController = null;
+                this.showLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Search the provider for a mood (emotion key, weighted mix or journey)
+     * options: { signal, onPartial } as for searchByEmotion (journeys don't report partial results)
+     */
+    async fetchMoodPlaylist(mood, options = {}) {
+        if (mood.journey) {
+            const { from, to, length } = mood.journey;
+            return this.musicProvider.searchMoodJourney(from, to, length, { signal: options.signal });
+        }
+        return this.musicProvider.searchByEmotion(mood, 20, options);
+    }
+
+    /**
+     * Show a saved playlist because the provider couldn't be reached, and remember to refresh it
+     */
+    showOfflinePlaylist(cacheKey, mood, cached) {
+        this.displayPlaylist(cached.tracks);
+        this.showCacheStatus(cached, true);
+        this.stalePlaylists.set(cacheKey, mood);
+    }
+
+    /**
+     * Show where the playlist came from under the title (null = just fetched)
+     */
+    showCacheStatus(cached, fallback = false) {
+        const { playlistMeta, playlistCacheStatus } = this.elements;
+        if (!playlistMeta) return;
+
+        if (!cached) {
+            playlistCacheStatus.textContent = `Fresh from ${this.musicProvider.label}`;
+        } else {
+            const savedAt = new Date(cached.savedAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+            playlistCacheStatus.textContent = fallback
+                ? `Couldn't reach ${this.musicProvider.label} - showing playlist saved ${savedAt}`
+                : `Saved playlist from ${savedAt}`;
+        }
+        playlistMeta.style.display = 'flex';
+
+        // Offer saving only where the provider supports it
+        const { playlistSave, playlistSavedLink } = this.elements;
+        if (playlistSave) {
+            playlistSave.style.display = this.musicProvider.canSavePlaylists ? 'inline-block' : 'none';
+            playlistSave.disabled = false;
+            playlistSave.textContent = `💾 Save to ${this.musicProvider.label}`;
+            playlistSavedLink.style.display = 'none';
+        }
+    }
+
+    /**
+     * Save the current playlist as a new private playlist named after the mood and date
+     */
+    async saveCurrentPlaylist() {
+        const { playlistSave, playlistSavedLink } = this.elements;
+        if (!this.currentMood || this.currentPlaylist.length === 0) return;
+
+        const date = new Date().toLocaleDateString([], { dateStyle: 'medium' });
+        const name = `${this.describeMood(this.currentMood)} mood · ${date}`;
+        const description = `${this.currentPlaylist.length} tracks picked by Emotion-Based Music Recommendation.`;
+
+        playlistSave.disabled = true;
+        playlistSave.textContent = 'Saving...';
+        this.hideError();
+
+        try {
+            const saved = await this.musicProvider.savePlaylist(name, this.currentPlaylist, description);
+            playlistSave.textContent = '✅ Saved';
+            if (saved.url) {
+                playlistSavedLink.href = saved.url;
+                playlistSavedLink.textContent = `Open "${saved.name}"`;
+                playlistSavedLink.style.display = 'inline';
+            }
+        } catch (error) {
+            console.error('Error saving playlist:', error);
+            this.showError(error.message || 'Failed to save playlist. Please try again.');
+            playlistSave.disabled = false;
+            playlistSave.textContent = `💾 Save to ${this.musicProvider.label}`;
         }
     }
 
     /**
      * Display playlist
+     * merge: a newer list for the same selection (streamed or refreshed results) -
+     * queued tracks, play history and the playing track are kept
      */
-    displayPlaylist(playlist) {
+    displayPlaylist(playlist, { merge = false } = {}) {
         this.currentPlaylist = playlist;
+
+        // Journeys end at their destination even with repeat-all
+        const isJourney = Boolean(this.currentMood && this.currentMood.journey);
+        if (merge) {
+            this.queue.update(playlist, { canWrap: !isJourney });
+        } else {
+            this.queue.load(playlist, { canWrap: !isJourney });
+        }
+
+        this.renderPlaylistItems();
+    }
+
+    /**
+     * Render the playlist cards in queue order
+     */
+    renderPlaylistItems() {
         this.elements.playlistContainer.innerHTML = '';
         
-        playlist.forEach((track, index) => {
+        this.currentPlaylist.forEach((track, index) => {
             const trackElement = this.createTrackElement(track, index);
             this.elements.playlistContainer.appendChild(trackElement);
         });
+        this.updateControlButtonStates();
+    }
+
+    /**
+     * Move a dragged track into another track's place
+     */
+    reorderTrack(trackId, targetId) {
+        this.queue.move(trackId, targetId);
+        this.currentPlaylist = [...this.queue.order];
+        this.renderPlaylistItems();
+    }
+
+    /**
+     * Show a track's queue actions next to where it was opened
+     */
+    openTrackMenu(track, x, y) {
+        this.closeTrackMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'track-menu';
+        menu.setAttribute('role', 'menu');
+
+        const actions = [
+            ['⏭️ Play next', () => this.queue.playNext(track)],
+            ['➕ Add to queue', () => this.queue.addToQueue(track)]
+        ];
+        actions.forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'track-menu-item';
+            button.setAttribute('role', 'menuitem');
+            button.textContent = label;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                action();
+                this.closeTrackMenu();
+                this.updateControlButtonStates();
+            });
+            menu.appendChild(button);
+        });
+
+        document.body.appendChild(menu);
+
+        // Keep the menu on screen
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.min(x, window.innerWidth - rect.width - 8) + window.scrollX}px`;
+        menu.style.top = `${Math.min(y, window.innerHeight - rect.height - 8) + window.scrollY}px`;
+
+        this.trackMenu = menu;
+        setTimeout(() => document.addEventListener('click', this.closeTrackMenuHandler = () => this.closeTrackMenu()), 0);
+    }
+
+    /**
+     * Close the track menu if open
+     */
+    closeTrackMenu() {
+        if (this.trackMenu) {
+            this.trackMenu.remove();
+            this.trackMenu = null;
+        }
+        if (this.closeTrackMenuHandler) {
+            document.removeEventListener('click', this.closeTrackMenuHandler);
+            this.closeTrackMenuHandler = null;
+        }
+    }
+
+    /**
+     * Show "Next" / "Queued #n" on tracks waiting in the queue
+     */
+    updateQueueBadges() {
+        this.elements.playlistContainer.querySelectorAll('.playlist-item').forEach(item => {
+            const position = this.queue.queuePosition(item.dataset.trackId);
+            const badge = item.querySelector('.queue-badge');
+            badge.textContent = position === 1 ? 'Next' : `Queued #${position}`;
+            badge.style.display = position > 0 ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Sync the shuffle and repeat buttons with the queue
+     */
+    updateQueueModeButtons() {
+        const shuffleButton = document.querySelector('.shuffle-btn');
+        const repeatButton = document.querySelector('.repeat-btn');
+        if (shuffleButton) {
+            shuffleButton.classList.toggle('active', this.queue.shuffle);
+            shuffleButton.title = this.queue.shuffle ? 'Shuffle: on' : 'Shuffle: off';
+        }
+        if (repeatButton) {
+            const labels = { off: 'Repeat: off', all: 'Repeat: all', one: 'Repeat: one' };
+            repeatButton.innerHTML = this.queue.repeat === 'one' ? '🔂' : '🔁';
+            repeatButton.classList.toggle('active', this.queue.repeat !== 'off');
+            repeatButton.title = labels[this.queue.repeat];
+        }
     }
 
     /**
@@ -225,8 +1678,34 @@ class MusicRecommendationApp {
     createTrackElement(track, index) {
         const item = document.createElement('div');
         item.className = 'playlist-item';
+        item.dataset.trackId = track.id;
         item.style.animationDelay = `${index * 0.1}s`;
 
+        // Drag to reorder the queue
+        item.draggable = true;
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', track.id);
+            item.classList.add('dragging');
+        });
+        item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        item.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drag-over');
+            this.reorderTrack(e.dataTransfer.getData('text/plain'), track.id);
+        });
+
+        // Right-click opens the queue menu
+        item.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.openTrackMenu(track, e.clientX, e.clientY);
+        });
+
         // Create album cover container
         const albumCoverContainer = document.createElement('div');
         albumCoverContainer.className = 'album-cover-container';
@@ -242,7 +1721,7 @@ class MusicRecommendationApp {
         albumCover.style.cursor = 'pointer';
         albumCover.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.playOnSpotify(track);
+            this.playTrack(track);
         });
 
         albumCoverContainer.appendChild(albumCover);
@@ -253,10 +1732,67 @@ class MusicRecommendationApp {
         spotifyOverlay.innerHTML = '🎵 Play with Full Controls';
         spotifyOverlay.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.playOnSpotify(track);
+            this.playTrack(track);
         });
         albumCoverContainer.appendChild(spotifyOverlay);
 
+        // Queue menu button and queued badge
+        const menuButton = document.createElement('button');
+        menuButton.className = 'track-menu-button';
+        menuButton.type = 'button';
+        menuButton.innerHTML = '⋯';
+        menuButton.title = 'Queue options';
+        menuButton.setAttribute('aria-label', `Queue options for ${track.name}`);
+        menuButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const rect = menuButton.getBoundingClientRect();
+            this.openTrackMenu(track, rect.left, rect.bottom + 4);
+        });
+        albumCoverContainer.appendChild(menuButton);
+
+        const queueBadge = document.createElement('div');
+        queueBadge.className = 'queue-badge';
+        queueBadge.style.display = 'none';
+        albumCoverContainer.appendChild(queueBadge);
+
+        // 30-second preview controls, or a clear label when there is no preview
+        if (track.previewUrl) {
+            const controlsOverlay = document.createElement('div');
+            controlsOverlay.className = 'controls-overlay';
+
+            const playPauseButton = document.createElement('button');
+            playPauseButton.className = 'control-button play-pause-button';
+            playPauseButton.type = 'button';
+            playPauseButton.innerHTML = '▶️';
+            playPauseButton.title = 'Play preview';
+            playPauseButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.playPreview(track);
+            });
+
+            const stopButton = document.createElement('button');
+            stopButton.className = 'control-button stop-button';
+            stopButton.type = 'button';
+            stopButton.innerHTML = '⏹️';
+            stopButton.title = 'Stop preview';
+            stopButton.disabled = true;
+            stopButton.style.opacity = '0.5';
+            stopButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.stopTrack(track);
+            });
+
+            controlsOverlay.appendChild(playPauseButton);
+            controlsOverlay.appendChild(stopButton);
+            albumCoverContainer.appendChild(controlsOverlay);
+        } else {
+            item.classList.add('no-preview');
+            const noPreview = document.createElement('div');
+            noPreview.className = 'no-preview-badge';
+            noPreview.textContent = 'No preview';
+            albumCoverContainer.appendChild(noPreview);
+        }
+
         item.appendChild(albumCoverContainer);
         
         // Create track info container
@@ -276,12 +1812,134 @@ class MusicRecommendationApp {
         artistName.title = track.artist;
         artistName.textContent = track.artist;
         trackInfo.appendChild(artistName);
+
+        // Thumbs up/down for the current emotion
+        const feedback = document.createElement('div');
+        feedback.className = 'track-feedback';
+        [[1, '👍', 'Like'], [-1, '👎', 'Dislike']].forEach(([rating, icon, label]) => {
+            const button = document.createElement('button');
+            button.className = 'feedback-button';
+            button.type = 'button';
+            button.dataset.rating = String(rating);
+            button.innerHTML = icon;
+            button.title = `${label} for this mood`;
+            button.setAttribute('aria-label', `${label} ${track.name} for this mood`);
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.rateTrack(track, rating);
+            });
+            feedback.appendChild(button);
+        });
+        trackInfo.appendChild(feedback);
         
         item.appendChild(trackInfo);
+        this.updateFeedbackButtons(item, track);
         
         return item;
     }
 
+    /**
+     * Like or dislike a track for the current emotion (again to undo)
+     */
+    rateTrack(track, rating) {
+        if (!this.currentEmotion) return;
+
+        this.musicProvider.taste.rate(this.currentEmotion, track, rating);
+
+        // Cached results predate this feedback
+        if (this.currentMood) {
+            this.playlistCache.delete(this.getPlaylistCacheKey(this.currentMood));
+        }
+
+        // An artist's rating changes every card by them
+        this.elements.playlistContainer.querySelectorAll('.playlist-item').forEach(item => {
+            const itemTrack = this.currentPlaylist.find(entry => entry.id === item.dataset.trackId);
+            if (itemTrack && itemTrack.artist === track.artist) {
+                this.updateFeedbackButtons(item, itemTrack);
+            }
+        });
+    }
+
+    /**
+     * Reflect a track's rating on its card
+     */
+    updateFeedbackButtons(item, track) {
+        const taste = this.musicProvider.taste;
+        const rating = this.currentEmotion ? taste.getRating(this.currentEmotion, track.id) : 0;
+
+        item.querySelectorAll('.feedback-button').forEach(button => {
+            const active = Number(button.dataset.rating) === rating;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        item.classList.toggle('disliked', Boolean(this.currentEmotion) && taste.isSuppressed(this.currentEmotion, track));
+    }
+
+    /**
+     * Forget all likes and dislikes, and the playlists chosen with them
+     */
+    async resetTaste() {
+        if (!confirm('Forget all your likes and dislikes?')) return;
+
+        this.musicProvider.taste.reset();
+        await this.playlistCache.clear();
+        this.elements.playlistContainer.querySelectorAll('.playlist-item').forEach(item => {
+            const track = this.currentPlaylist.find(entry => entry.id === item.dataset.trackId);
+            if (track) this.updateFeedbackButtons(item, track);
+        });
+    }
+
+    /**
+     * Play a track with the current provider's playback mode
+     */
+    playTrack(track) {
+        this.queue.setCurrent(track);
+        this.updateJourneyProgress(track);
+
+        if (this.musicProvider.playbackMode === 'audio') {
+            this.playPreview(track);
+        } else {
+            this.playOnSpotify(track);
+        }
+    }
+
+    /**
+     * Play (or pause) a track's preview or audio file through the page's audio element
+     */
+    playPreview(track) {
+        if (!track || !track.previewUrl) {
+            console.error('Track has no preview:', track);
+            this.showError('No preview available for this track.');
+            return;
+        }
+
+        this.queue.setCurrent(track);
+
+        // Only one thing plays at a time
+        if (!this.previewMode) {
+            this.pauseProviderPlayback();
+            this.previewMode = true;
+            this.isPlaying = false;
+        }
+
+        this.updateJourneyProgress(track);
+        this.showSpotifyPlayer(track);
+        this.togglePlayPause(track);
+    }
+
+    /**
+     * Pause whatever the provider is playing (in-page player or remote device)
+     */
+    pauseProviderPlayback() {
+        if (this.previewMode || !this.isPlaying) return;
+
+        if (this.isUsingRemoteDevice() && this.currentlyPlayingTrack) {
+            this.controlRemoteDevice('pause');
+        } else if (this.isUsingWebPlayer()) {
+            this.webPlayer.pause();
+        }
+    }
+
     /**
      * Play track on Spotify using embedded player
      */
@@ -294,16 +1952,43 @@ class MusicRecommendationApp {
             return;
         }
 
+        this.recordPlay(track);
+
+        // Leave preview mode
+        if (this.previewMode) {
+            this.previewMode = false;
+            this.elements.audioPlayer.pause();
+            this.audioVisualizer.stop();
+            this.isPlaying = false;
+        }
+
         // Update currently playing track
         this.currentlyPlayingTrack = track;
 
-        // Create or update Spotify embed
+        // Create or update Spotify embed (or the in-page player controls)
         this.showSpotifyPlayer(track);
 
+        if (this.isUsingRemoteDevice()) {
+            this.playOnRemoteDevice(track);
+        } else if (this.isUsingWebPlayer()) {
+            this.webPlayer.play([track.id]).catch(error => {
+                console.error('Web Playback error, falling back to the embed:', error);
+                this.createSpotifyEmbed(track);
+            });
+        }
+
         // Update UI to show playing state
         this.updateControlButtonStates();
     }
 
+    /**
+     * Log a track starting (Spotify, preview or local audio) in the listening history
+     */
+    recordPlay(track) {
+        this.history.logPlay(track, this.currentEmotion);
+        this.renderStats();
+    }
+
     /**
      * Show Spotify embedded player
      */
@@ -349,11 +2034,64 @@ class MusicRecommendationApp {
             volumeControl.title = 'Volume';
             volumeControl.addEventListener('input', (e) => this.setVolume(e.target.value));
 
+            const shuffleButton = document.createElement('button');
+            shuffleButton.className = 'control-btn shuffle-btn';
+            shuffleButton.innerHTML = '🔀';
+            shuffleButton.addEventListener('click', () => {
+                this.queue.setShuffle(!this.queue.shuffle);
+                this.updateQueueModeButtons();
+            });
+
+            const repeatButton = document.createElement('button');
+            repeatButton.className = 'control-btn repeat-btn';
+            repeatButton.innerHTML = '🔁';
+            repeatButton.addEventListener('click', () => {
+                this.queue.cycleRepeat();
+                this.updateQueueModeButtons();
+            });
+
+            controlsDiv.appendChild(shuffleButton);
             controlsDiv.appendChild(prevButton);
             controlsDiv.appendChild(playPauseButton);
             controlsDiv.appendChild(nextButton);
+            controlsDiv.appendChild(repeatButton);
             controlsDiv.appendChild(volumeControl);
 
+            // Seek bar (in-page player only)
+            const seekRow = document.createElement('div');
+            seekRow.className = 'seek-row';
+            seekRow.style.display = 'none';
+
+            const seekPosition = document.createElement('span');
+            seekPosition.className = 'seek-position';
+            seekPosition.textContent = '0:00';
+
+            const seekControl = document.createElement('input');
+            seekControl.type = 'range';
+            seekControl.className = 'seek-control';
+            seekControl.min = '0';
+            seekControl.max = '0';
+            seekControl.value = '0';
+            seekControl.title = 'Seek';
+            seekControl.addEventListener('input', () => {
+                this.isSeeking = true;
+                seekPosition.textContent = this.formatTime(Number(seekControl.value));
+            });
+            seekControl.addEventListener('change', () => {
+                this.isSeeking = false;
+                if (this.isUsingWebPlayer()) {
+                    this.webPlayer.seek(Number(seekControl.value));
+                }
+            });
+
+            const seekDuration = document.createElement('span');
+            seekDuration.className = 'seek-duration';
+            seekDuration.textContent = '0:00';
+
+            seekRow.appendChild(seekPosition);
+            seekRow.appendChild(seekControl);
+            seekRow.appendChild(seekDuration);
+
             const title = document.createElement('h3');
             title.className = 'spotify-player-title';
             title.textContent = `Now Playing: ${track.name} by ${track.artist}`;
@@ -367,6 +2105,7 @@ class MusicRecommendationApp {
             embedContainer.className = 'spotify-embed-container';
 
             container.appendChild(controlsDiv);
+            container.appendChild(seekRow);
             container.appendChild(title);
             container.appendChild(embedContainer);
             section.appendChild(container);
@@ -374,6 +2113,7 @@ class MusicRecommendationApp {
             // Insert after visualizer section
             const visualizerSection = document.getElementById('visualizer-section');
             visualizerSection.parentNode.insertBefore(section, visualizerSection.nextSibling);
+            this.updateQueueModeButtons();
         } else {
             // Update existing player
             playerSection.classList.add('active');
@@ -386,8 +2126,13 @@ class MusicRecommendationApp {
             }
         }
 
-        // Create Spotify embed iframe
-        this.createSpotifyEmbed(track);
+        // Create Spotify embed iframe (previews, in-page and remote playback have no embed)
+        if (this.isUsingEmbed()) {
+            this.createSpotifyEmbed(track);
+        } else {
+            const embedContainer = document.getElementById('spotify-embed-container');
+            if (embedContainer) embedContainer.innerHTML = '';
+        }
     }
 
     /**
@@ -402,6 +2147,13 @@ class MusicRecommendationApp {
 
         console.log('Creating Spotify embed for track:', track.id); // Debug log
 
+        // Reuse a mounted embed so playback carries on from track to track
+        if (this.embedController.isMounted()) {
+            this.embedController.load(track, { autoplay: true });
+            embedContainer.querySelector('.direct-link-container').replaceWith(this.createEmbedLink(track));
+            return;
+        }
+
         // Clear any existing iframe
         embedContainer.innerHTML = '';
 
@@ -414,6 +2166,39 @@ class MusicRecommendationApp {
         `;
         embedContainer.appendChild(loadingDiv);
 
+        this.embedController.mount(embedContainer, track, { autoplay: true })
+            .then(mounted => {
+                if (!mounted) return;
+                loadingDiv.remove();
+                // The embed goes above the direct link
+                embedContainer.insertBefore(this.embedController.element, embedContainer.querySelector('.direct-link-container'));
+            })
+            .catch(error => {
+                // Without the iFrame API the embed still plays, it just can't advance by itself
+                console.warn('Spotify iFrame API unavailable, using a plain embed:', error);
+                if (embedContainer.contains(loadingDiv)) {
+                    this.createEmbedIframe(track, embedContainer);
+                }
+            });
+
+        // Add direct link as additional option
+        embedContainer.appendChild(this.createEmbedLink(track));
+    }
+
+    /**
+     * Direct "open in Spotify" link shown under the embed
+     */
+    createEmbedLink(track) {
+        const directLinkDiv = document.createElement('div');
+        directLinkDiv.className = 'direct-link-container';
+        directLinkDiv.innerHTML = `<a href="${track.externalUrl || `https://open.spotify.com/track/${track.id}`}" target="_blank" class="spotify-direct-link">🔗 Open Full Track in Spotify Web Player</a>`;
+        return directLinkDiv;
+    }
+
+    /**
+     * Plain embed iframe, used when the iFrame API can't load
+     */
+    createEmbedIframe(track, embedContainer) {
         // Create iframe for Spotify embed
         const iframe = document.createElement('iframe');
         const embedUrl = `https://open.spotify.com/embed/track/${track.id}?utm_source=generator&theme=0&show_cover=true`;
@@ -451,13 +2236,7 @@ class MusicRecommendationApp {
             }
         };
 
-        embedContainer.appendChild(iframe);
-
-        // Add direct link as additional option
-        const directLinkDiv = document.createElement('div');
-        directLinkDiv.className = 'direct-link-container';
-        directLinkDiv.innerHTML = `<a href="${track.externalUrl || `https://open.spotify.com/track/${track.id}`}" target="_blank" class="spotify-direct-link">🔗 Open Full Track in Spotify Web Player</a>`;
-        embedContainer.appendChild(directLinkDiv);
+        embedContainer.insertBefore(iframe, embedContainer.querySelector('.direct-link-container'));
     }
 
     /**
@@ -466,19 +2245,42 @@ class MusicRecommendationApp {
     playPreviousSong() {
         if (!this.currentlyPlayingTrack || !this.currentPlaylist.length) return;
 
-        const currentIndex = this.currentPlaylist.findIndex(track => track.id === this.currentlyPlayingTrack.id);
-        const prevIndex = currentIndex > 0 ? currentIndex - 1 : this.currentPlaylist.length - 1;
-        const prevTrack = this.currentPlaylist[prevIndex];
+        const prevTrack = this.queue.previous({ previewOnly: this.previewMode });
+        if (!prevTrack) return;
 
-        this.playOnSpotify(prevTrack);
+        if (this.previewMode) {
+            this.playPreview(prevTrack);
+        } else {
+            this.playTrack(prevTrack);
+        }
     }
 
     /**
-     * Toggle playback (this would need Spotify Web Playback SDK for full control)
+     * Toggle playback (full control with audio playback or the Web Playback SDK)
      */
     togglePlayerPlayback() {
-        // Note: Full play/pause control requires Spotify Web Playback SDK
-        // For now, we'll refresh the embed which should restart playback
+        if (this.currentlyPlayingTrack && this.previewMode) {
+            this.togglePlayPause(this.currentlyPlayingTrack);
+            return;
+        }
+
+        if (this.currentlyPlayingTrack && this.isUsingRemoteDevice()) {
+            this.controlRemoteDevice(this.isPlaying ? 'pause' : 'play');
+            return;
+        }
+
+        if (this.currentlyPlayingTrack && this.isUsingWebPlayer()) {
+            this.webPlayer.togglePlay();
+            return;
+        }
+
+        if (this.currentlyPlayingTrack && this.embedController.isMounted()) {
+            this.embedController.togglePlay();
+            return;
+        }
+
+        // The plain embed can't be controlled from the page
+        // Refresh the embed which should restart playback
         if (this.currentlyPlayingTrack) {
             this.createSpotifyEmbed(this.currentlyPlayingTrack);
         }
@@ -490,20 +2292,28 @@ class MusicRecommendationApp {
     playNextSong() {
         if (!this.currentlyPlayingTrack || !this.currentPlaylist.length) return;
 
-        const currentIndex = this.currentPlaylist.findIndex(track => track.id === this.currentlyPlayingTrack.id);
-        const nextIndex = currentIndex < this.currentPlaylist.length - 1 ? currentIndex + 1 : 0;
-        const nextTrack = this.currentPlaylist[nextIndex];
+        // Queued tracks first; stops at the end unless repeat-all is on
+        const nextTrack = this.queue.next({ previewOnly: this.previewMode });
+        if (!nextTrack) return;
 
-        this.playOnSpotify(nextTrack);
+        if (this.previewMode) {
+            this.playPreview(nextTrack);
+        } else {
+            this.playTrack(nextTrack);
+        }
     }
 
     /**
-     * Set volume (limited control with embed)
+     * Set volume (no control over the embed)
      */
     setVolume(volume) {
-        // Volume control is limited with iframe embeds
-        // This is mostly for UI feedback
-        console.log('Volume set to:', volume);
+        // The audio element, the in-page player and remote devices are fully controllable
+        this.elements.audioPlayer.volume = volume / 100;
+        if (this.isUsingRemoteDevice()) {
+            this.debouncedDeviceVolume(volume);
+        } else if (this.isUsingWebPlayer()) {
+            this.webPlayer.setVolume(volume / 100);
+        }
     }
 
     /**
@@ -526,6 +2336,7 @@ class MusicRecommendationApp {
             // Different track - start playing new track
             audio.src = track.previewUrl;
             this.currentlyPlayingTrack = track;
+            this.recordPlay(track);
             audio.play().catch(error => {
                 console.error('Playback error:', error);
                 this.showError('Unable to play track preview.');
@@ -541,7 +2352,7 @@ class MusicRecommendationApp {
     stopTrack(track) {
         const audio = this.elements.audioPlayer;
         
-        if (this.currentlyPlayingTrack?.id === track.id) {
+        if (this.previewMode && this.currentlyPlayingTrack?.id === track.id) {
             audio.pause();
             audio.currentTime = 0;
             this.currentlyPlayingTrack = null;
@@ -563,6 +2374,14 @@ class MusicRecommendationApp {
      * Update control button states
      */
     updateControlButtonStates() {
+        this.updateQueueBadges();
+
+        // Player bar play/pause reflects the real state
+        const playerToggle = document.querySelector('.play-pause-btn');
+        if (playerToggle) {
+            playerToggle.innerHTML = this.currentlyPlayingTrack && this.isPlaying ? '⏸️' : '▶️';
+        }
+
         const items = this.elements.playlistContainer.querySelectorAll('.playlist-item');
         items.forEach(item => {
             item.classList.remove('playing', 'paused');
@@ -571,7 +2390,7 @@ class MusicRecommendationApp {
             
             if (playPauseButton) {
                 playPauseButton.innerHTML = '▶️';
-                playPauseButton.title = 'Play';
+                playPauseButton.title = 'Play preview';
                 playPauseButton.classList.remove('playing');
             }
             if (stopButton) {
@@ -581,17 +2400,15 @@ class MusicRecommendationApp {
         });
         
         if (this.currentlyPlayingTrack) {
-            const playingItem = Array.from(items).find(item => {
-                const trackName = item.querySelector('.track-name').textContent;
-                return trackName === this.currentlyPlayingTrack.name;
-            });
+            const playingItem = Array.from(items).find(item => item.dataset.trackId === this.currentlyPlayingTrack.id);
             
             if (playingItem) {
                 playingItem.classList.add('playing');
                 const playPauseButton = playingItem.querySelector('.play-pause-button');
                 const stopButton = playingItem.querySelector('.stop-button');
                 
-                if (playPauseButton) {
+                // Preview buttons only reflect preview playback
+                if (playPauseButton && this.previewMode) {
                     if (this.isPlaying) {
                         playPauseButton.innerHTML = '⏸️';
                         playPauseButton.title = 'Pause';
@@ -606,7 +2423,7 @@ class MusicRecommendationApp {
                     }
                 }
                 
-                if (stopButton) {
+                if (stopButton && this.previewMode) {
                     stopButton.disabled = false;
                     stopButton.style.opacity = '1';
                 }
@@ -627,8 +2444,14 @@ class MusicRecommendationApp {
     clearPlaylist() {
         this.elements.playlistContainer.innerHTML = '';
         this.elements.playlistTitle.textContent = 'Select an emotion to discover music';
+        if (this.elements.playlistMeta) {
+            this.elements.playlistMeta.style.display = 'none';
+        }
         this.elements.visualizerSection.classList.remove('active');
         this.elements.audioPlayer.pause();
+        this.pauseProviderPlayback();
+        this.previewMode = false;
+        this.stopSeekTimer();
         this.currentlyPlayingTrack = null;
         this.isPlaying = false;
         this.audioVisualizer.stop();
@@ -696,7 +2519,7 @@ class MusicRecommendationApp {
             retryButton.addEventListener('click', () => {
                 this.hideError();
                 this.showLoading(true);
-                this.loadEmotionPlaylist(emotion);
+                this.handleEmotionSelection(emotion);
             });
         }
     }
@@ -712,19 +2535,399 @@ class MusicRecommendationApp {
      * Update authentication status UI
      */
     updateAuthStatus(isAuthenticated) {
+        const label = this.musicProvider.label;
+        this.renderPersonalWeight(isAuthenticated);
+
+        // Providers without sign-in need no connect button
+        this.elements.authButton.style.display = this.musicProvider.requiresAuth ? '' : 'none';
+        if (!this.musicProvider.requiresAuth) {
+            this.elements.authStatus.textContent = `Playing from the ${label.toLowerCase()}`;
+            this.elements.authStatus.style.color = '#43e97b';
+            return;
+        }
+
         if (isAuthenticated) {
-            this.elements.authButton.textContent = 'Disconnect from Spotify';
+            this.elements.authButton.textContent = `Disconnect from ${label}`;
             this.elements.authButton.classList.add('connected');
-            this.elements.authStatus.textContent = 'Connected to Spotify';
+            this.elements.authStatus.textContent = `Connected to ${label}`;
             this.elements.authStatus.style.color = '#43e97b';
         } else {
-            this.elements.authButton.textContent = 'Connect to Spotify';
+            this.elements.authButton.textContent = `Connect to ${label}`;
             this.elements.authButton.classList.remove('connected');
-            this.elements.authStatus.textContent = 'Connect to Spotify to discover music';
+            this.elements.authStatus.textContent = `Connect to ${label} to discover music`;
             this.elements.authStatus.style.color = '';
         }
     }
 
+    /**
+     * Wire up the custom mood editor: toggle, effect choices, form and list buttons
+     */
+    setupMoodEditor() {
+        const { moodEditorToggle, moodEditor, moodEditorForm, moodEditorList, moodEditorEffect } = this.elements;
+        if (!moodEditorToggle) return;
+
+        // Custom moods borrow a built-in mood's background effect and sound
+        this.emotions.builtIns.forEach(emotion => {
+            const option = document.createElement('option');
+            option.value = emotion.effect;
+            option.textContent = `${emotion.emoji} ${emotion.label} (${emotion.effectName.toLowerCase()})`;
+            moodEditorEffect.appendChild(option);
+        });
+
+        moodEditorToggle.addEventListener('click', () => {
+            const open = moodEditor.style.display === 'none';
+            moodEditor.style.display = open ? 'block' : 'none';
+            moodEditorToggle.classList.toggle('active', open);
+            moodEditorToggle.setAttribute('aria-pressed', String(open));
+            if (open) {
+                this.resetMoodEditor();
+                this.renderMoodEditor();
+            }
+        });
+
+        moodEditorForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveMood();
+        });
+        this.elements.moodEditorCancel.addEventListener('click', () => this.resetMoodEditor());
+
+        moodEditorList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'edit') {
+                this.editMood(button.dataset.emotion);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteMood(button.dataset.emotion);
+            }
+        });
+    }
+
+    /**
+     * List the user's custom moods with edit and delete buttons
+     */
+    renderMoodEditor() {
+        const list = this.elements.moodEditorList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.emotions.custom.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'stats-empty';
+            empty.textContent = 'No moods of your own yet - add one below.';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.emotions.custom.forEach(mood => {
+            const item = document.createElement('li');
+            item.className = 'mood-editor-item';
+            item.classList.toggle('editing', mood.key === this.editingMoodKey);
+
+            const swatch = document.createElement('span');
+            swatch.className = 'mood-editor-swatch';
+            swatch.style.background = this.emotions.getGradient(mood.key);
+
+            const name = document.createElement('span');
+            name.className = 'mood-editor-name';
+            name.textContent = `${mood.emoji} ${mood.label}`;
+
+            const details = document.createElement('span');
+            details.className = 'mood-editor-details';
+            details.textContent = `"${mood.query}" · feels like ${this.emotions.getLabel(mood.effect)}`;
+
+            item.appendChild(swatch);
+            item.appendChild(name);
+            item.appendChild(details);
+
+            [['edit', 'Edit'], ['delete', 'Delete']].forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'mood-tool-button';
+                button.dataset.action = action;
+                button.dataset.emotion = mood.key;
+                button.textContent = text;
+                button.setAttribute('aria-label', `${text} ${mood.label}`);
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Empty the mood form for adding a new mood
+     */
+    resetMoodEditor() {
+        const { moodEditorForm, moodEditorTitle, moodEditorSave, moodEditorError } = this.elements;
+        this.editingMoodKey = null;
+        moodEditorForm.reset();
+        moodEditorTitle.textContent = 'New mood';
+        moodEditorSave.textContent = 'Add mood';
+        moodEditorError.textContent = '';
+        this.renderMoodEditor();
+    }
+
+    /**
+     * Load a custom mood into the form
+     */
+    editMood(key) {
+        const mood = this.emotions.custom.find(item => item.key === key);
+        if (!mood) return;
+
+        const { elements } = this;
+        this.editingMoodKey = key;
+        elements.moodEditorLabel.value = mood.label;
+        elements.moodEditorEmoji.value = mood.emoji;
+        elements.moodEditorQuery.value = mood.query;
+        elements.moodEditorArtists.value = mood.artists.join(', ');
+        elements.moodEditorPrimary.value = mood.colors.primary;
+        elements.moodEditorSecondary.value = mood.colors.secondary;
+        elements.moodEditorEffect.value = mood.effect;
+        elements.moodEditorTitle.textContent = `Edit ${mood.label}`;
+        elements.moodEditorSave.textContent = 'Save changes';
+        elements.moodEditorError.textContent = '';
+        elements.moodEditorLabel.focus();
+        this.renderMoodEditor();
+    }
+
+    /**
+     * Create or update the mood in the form, then refresh everything that lists moods
+     */
+    saveMood() {
+        const { elements } = this;
+        const key = this.editingMoodKey;
+        try {
+            this.emotions.saveCustom({
+                key,
+                label: elements.moodEditorLabel.value,
+                emoji: elements.moodEditorEmoji.value,
+                query: elements.moodEditorQuery.value,
+                artists: elements.moodEditorArtists.value,
+                primary: elements.moodEditorPrimary.value,
+                secondary: elements.moodEditorSecondary.value,
+                effect: elements.moodEditorEffect.value
+            });
+        } catch (error) {
+            elements.moodEditorError.textContent = error.message;
+            return;
+        }
+
+        this.resetMoodEditor();
+        this.refreshMoodChoices();
+
+        // An edited mood that's playing is searched again with its new words
+        if (key && this.currentMood && this.moodIncludes(this.currentMood, key)) {
+            this.reloadCurrentMood();
+        }
+    }
+
+    /**
+     * Delete a custom mood after confirming, stopping it if it's playing
+     */
+    deleteMood(key) {
+        if (!confirm(`Delete the "${this.emotions.getLabel(key)}" mood?`)) return;
+
+        this.emotions.deleteCustom(key);
+        if (this.editingMoodKey === key) {
+            this.resetMoodEditor();
+        }
+
+        if (this.blendWeights[key]) {
+            delete this.blendWeights[key];
+            if (this.blendMode) this.renderBlendSliders();
+        }
+
+        if (this.currentMood && this.moodIncludes(this.currentMood, key)) {
+            if (this.selectionController) {
+                this.selectionController.abort();
+                this.selectionController = null;
+                this.showLoading(false);
+            }
+            this.emotionEffects.setEmotionMix({});
+            this.audioVisualizer.setEmotion(null);
+            this.currentMood = null;
+            this.currentEmotion = null;
+            this.showMoodMix(null);
+            this.clearPlaylist();
+        }
+
+        this.refreshMoodChoices();
+    }
+
+    /**
+     * Whether a mood (emotion key, mix or journey) uses an emotion
+     */
+    moodIncludes(mood, emotion) {
+        if (typeof mood === 'string') return mood === emotion;
+        if (mood.journey) return mood.journey.from === emotion || mood.journey.to === emotion;
+        return emotion in mood;
+    }
+
+    /**
+     * Redraw the emotion grid, journey selects and mood list after custom moods change
+     */
+    refreshMoodChoices() {
+        this.renderEmotionGrid();
+        this.renderJourneyOptions();
+        this.renderMoodEditor();
+    }
+
+    /**
+     * Main colour of a mood, for the stats charts
+     */
+    getEmotionColor(emotion) {
+        const colors = this.emotions.getColors(emotion);
+        return colors ? colors.primary : '#667eea';
+    }
+
+    /**
+     * Wire up the stats dashboard toggle, period picker and export buttons
+     */
+    setupStatsDashboard() {
+        if (!this.elements.statsToggle) return;
+
+        this.elements.statsToggle.addEventListener('click', () => {
+            const open = this.elements.statsSection.style.display === 'none';
+            this.elements.statsSection.style.display = open ? 'block' : 'none';
+            this.elements.statsToggle.classList.toggle('active', open);
+            this.elements.statsToggle.setAttribute('aria-pressed', String(open));
+            this.renderStats();
+        });
+
+        this.elements.statsPeriod.addEventListener('change', () => this.renderStats());
+
+        this.elements.statsExportJson.addEventListener('click', () => {
+            this.downloadFile('listening-history.json', this.history.exportJSON(), 'application/json');
+        });
+        this.elements.statsExportCsv.addEventListener('click', () => {
+            this.downloadFile('listening-history.csv', this.history.exportCSV(), 'text/csv');
+        });
+
+        this.elements.statsClear.addEventListener('click', () => {
+            if (confirm('Delete your whole listening history?')) {
+                this.history.clear();
+                this.renderStats();
+            }
+        });
+    }
+
+    /**
+     * Redraw the stats dashboard (only while it's open)
+     */
+    renderStats() {
+        const section = this.elements.statsSection;
+        if (!section || section.style.display === 'none') return;
+
+        // Streaks
+        const { current, longest } = this.history.getStreaks();
+        const dayLabel = (count) => `${count} day${count === 1 ? '' : 's'}`;
+        this.elements.statsStreaks.innerHTML = '';
+        [['🔥 Current streak', dayLabel(current)], ['🏆 Longest streak', dayLabel(longest)]].forEach(([label, value]) => {
+            const stat = document.createElement('div');
+            stat.className = 'stats-streak';
+            stat.innerHTML = `<span class="stats-streak-value"></span><span class="stats-streak-label"></span>`;
+            stat.querySelector('.stats-streak-value').textContent = value;
+            stat.querySelector('.stats-streak-label').textContent = label;
+            this.elements.statsStreaks.appendChild(stat);
+        });
+
+        // Mood frequency: one stacked bar per day or week
+        const period = this.elements.statsPeriod.value;
+        const buckets = this.history.getMoodFrequency(period, period === 'week' ? 8 : 7);
+        const maxTotal = Math.max(1, ...buckets.map(bucket => bucket.total));
+        this.elements.statsFrequency.innerHTML = '';
+        buckets.forEach(bucket => {
+            const row = document.createElement('div');
+            row.className = 'stats-row';
+
+            const label = document.createElement('span');
+            label.className = 'stats-row-label';
+            const [year, month, day] = bucket.key.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            label.textContent = period === 'week'
+                ? `Wk of ${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`
+                : date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            Object.entries(bucket.counts).forEach(([emotion, count]) => {
+                const segment = document.createElement('div');
+                segment.className = 'stats-bar-segment';
+                segment.style.width = `${(count / maxTotal) * 100}%`;
+                segment.style.background = this.getEmotionColor(emotion);
+                segment.title = `${this.emotions.getLabel(emotion)}: ${count}`;
+                bar.appendChild(segment);
+            });
+
+            const total = document.createElement('span');
+            total.className = 'stats-row-total';
+            total.textContent = String(bucket.total);
+
+            row.appendChild(label);
+            row.appendChild(bar);
+            row.appendChild(total);
+            this.elements.statsFrequency.appendChild(row);
+        });
+
+        // Top artists per emotion
+        const topArtists = Object.entries(this.history.getTopArtists());
+        this.elements.statsArtists.innerHTML = '';
+        if (topArtists.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'stats-empty';
+            empty.textContent = 'Play some tracks to see your favourite artists for each mood.';
+            this.elements.statsArtists.appendChild(empty);
+        }
+        topArtists.forEach(([emotion, artists]) => {
+            const group = document.createElement('div');
+            group.className = 'stats-artist-group';
+
+            const heading = document.createElement('h4');
+            heading.textContent = this.emotions.getLabel(emotion);
+            heading.style.color = this.getEmotionColor(emotion);
+            group.appendChild(heading);
+
+            const list = document.createElement('ol');
+            artists.forEach(({ artist, plays }) => {
+                const item = document.createElement('li');
+                item.textContent = `${artist} (${plays} play${plays === 1 ? '' : 's'})`;
+                list.appendChild(item);
+            });
+            group.appendChild(list);
+            this.elements.statsArtists.appendChild(group);
+        });
+    }
+
+    /**
+     * Save text as a file download
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show the personal taste slider for signed-in providers that support it
+     */
+    renderPersonalWeight(isAuthenticated) {
+        const { personalWeightPicker, personalWeight, personalWeightValue } = this.elements;
+        if (!personalWeightPicker) return;
+
+        const available = this.musicProvider.canPersonalize && isAuthenticated;
+        personalWeightPicker.style.display = available ? 'flex' : 'none';
+
+        const percent = Math.round(this.musicProvider.personalWeight * 100);
+        personalWeight.value = String(percent);
+        personalWeightValue.textContent = `${percent}%`;
+    }
+
     /**
      * Debounce utility function
      */
@@ -739,17 +2942,11 @@ class MusicRecommendationApp {
             timeout = setTimeout(later, wait);
         };
     }
-
-    /**
-     * Capitalize first letter
-     */
-    capitalizeFirst(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
-    }
 }
 
 // Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    AppConfig.current = await AppConfig.load();
     window.app = new MusicRecommendationApp();
 });
 
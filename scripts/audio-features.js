@@ -0,0 +1,112 @@
+/**
+ * Audio Feature Matching
+ * Scores tracks against per-emotion target ranges of Spotify audio features
+ */
+
+class AudioFeatureMatcher {
+    constructor() {
+        // Target [min, max] ranges per emotion (tempo in BPM, the rest 0-1)
+        this.emotionTargets = {
+            happy: { valence: [0.6, 1], energy: [0.5, 0.9], tempo: [100, 140], danceability: [0.55, 0.9], acousticness: [0, 0.5] },
+            sad: { valence: [0, 0.35], energy: [0, 0.45], tempo: [60, 100], danceability: [0, 0.5], acousticness: [0.3, 1] },
+            chill: { valence: [0.3, 0.7], energy: [0.2, 0.5], tempo: [70, 110], danceability: [0.4, 0.7], acousticness: [0.3, 0.9] },
+            energetic: { valence: [0.4, 1], energy: [0.75, 1], tempo: [120, 180], danceability: [0.55, 1], acousticness: [0, 0.3] },
+            romantic: { valence: [0.35, 0.75], energy: [0.25, 0.6], tempo: [70, 115], danceability: [0.35, 0.7], acousticness: [0.2, 0.8] },
+            calm: { valence: [0.2, 0.6], energy: [0, 0.35], tempo: [50, 95], danceability: [0, 0.5], acousticness: [0.5, 1] },
+            angry: { valence: [0, 0.4], energy: [0.75, 1], tempo: [110, 180], danceability: [0.3, 0.7], acousticness: [0, 0.25] },
+            motivation: { valence: [0.4, 0.9], energy: [0.7, 1], tempo: [110, 160], danceability: [0.5, 0.9], acousticness: [0, 0.3] }
+        };
+
+        // How much each feature counts towards the score
+        this.weights = {
+            valence: 0.3,
+            energy: 0.3,
+            tempo: 0.15,
+            danceability: 0.15,
+            acousticness: 0.1
+        };
+
+        // Distance outside a range at which a feature scores zero
+        this.tolerance = {
+            valence: 0.5,
+            energy: 0.5,
+            tempo: 60,
+            danceability: 0.5,
+            acousticness: 0.5
+        };
+    }
+
+    /**
+     * Check if an emotion has feature targets
+     */
+    hasTargets(emotion) {
+        return Boolean(this.emotionTargets[emotion]);
+    }
+
+    /**
+     * Score a track's audio features against an emotion (0 = no match, 1 = perfect)
+     */
+    score(features, emotion) {
+        return this.scoreTargets(features, this.emotionTargets[emotion]);
+    }
+
+    /**
+     * Score audio features against explicit target ranges
+     */
+    scoreTargets(features, targets) {
+        if (!targets || !features) return null;
+
+        let total = 0;
+        let weightSum = 0;
+
+        for (const [feature, [min, max]] of Object.entries(targets)) {
+            const value = features[feature];
+            if (typeof value !== 'number') continue;
+
+            const distance = value < min ? min - value : value > max ? value - max : 0;
+            const featureScore = Math.max(0, 1 - distance / this.tolerance[feature]);
+            total += featureScore * this.weights[feature];
+            weightSum += this.weights[feature];
+        }
+
+        return weightSum > 0 ? total / weightSum : null;
+    }
+
+    /**
+     * Target ranges part-way between two emotions (progress 0 = from, 1 = to)
+     */
+    interpolateTargets(fromEmotion, toEmotion, progress) {
+        const from = this.emotionTargets[fromEmotion];
+        const to = this.emotionTargets[toEmotion];
+        if (!from || !to) return null;
+
+        const targets = {};
+        for (const feature of Object.keys(from)) {
+            targets[feature] = [0, 1].map(i => from[feature][i] + (to[feature][i] - from[feature][i]) * progress);
+        }
+        return targets;
+    }
+
+    /**
+     * Re-rank tracks by feature score
+     * Tracks without features keep their keyword order after the scored ones.
+     */
+    rank(tracks, featuresById, emotion) {
+        return tracks
+            .map((track, index) => ({
+                track,
+                index,
+                score: this.score(featuresById.get(track.id), emotion)
+            }))
+            .sort((a, b) => {
+                if (a.score === null && b.score === null) return a.index - b.index;
+                if (a.score === null) return 1;
+                if (b.score === null) return -1;
+                return b.score - a.score || a.index - b.index;
+            })
+            .map(entry => entry.track);
+    }
+}
+
+// Export for use in other scripts
+window.AudioFeatureMatcher = AudioFeatureMatcher;
@@ -0,0 +1,158 @@
+/**
+ * Camera Emotion Detection
+ * Runs a small face-expression model (face-api.js) entirely in the browser.
+ * Video frames are analysed locally and never uploaded.
+ */
+
+class EmotionDetector {
+    constructor(options = {}) {
+        // Library and model weights are downloaded once; frames never leave the device
+        this.scriptUrl = options.scriptUrl || 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.13/dist/face-api.js';
+        this.modelUrl = options.modelUrl || 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.13/model/';
+
+        // Average several frames for a steadier prediction
+        this.sampleCount = options.sampleCount || 10;
+        this.sampleInterval = options.sampleInterval || 200;
+
+        // Model expression -> app emotion key (with how strongly it counts)
+        this.expressionMap = {
+            happy: { happy: 1 },
+            sad: { sad: 1 },
+            angry: { angry: 1 },
+            disgusted: { angry: 0.7, sad: 0.3 },
+            fearful: { calm: 0.6, sad: 0.4 },
+            surprised: { energetic: 0.7, happy: 0.3 },
+            neutral: { chill: 0.6, calm: 0.4 }
+        };
+
+        this.video = null;
+        this.stream = null;
+        this.modelPromise = null;
+    }
+
+    /**
+     * Check if the browser can access a camera
+     */
+    static isSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    /**
+     * Load face-api.js and the detector/expression models (once)
+     */
+    loadModel() {
+        if (!this.modelPromise) {
+            this.modelPromise = this.loadScript()
+                .then(() => Promise.all([
+                    faceapi.nets.tinyFaceDetector.loadFromUri(this.modelUrl),
+                    faceapi.nets.faceExpressionNet.loadFromUri(this.modelUrl)
+                ]))
+                .catch(error => {
+                    // Allow a later attempt to try again
+                    this.modelPromise = null;
+                    throw error;
+                });
+        }
+        return this.modelPromise;
+    }
+
+    /**
+     * Inject the face-api.js script tag
+     */
+    loadScript() {
+        if (window.faceapi) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.scriptUrl;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error('Failed to load the face expression model.'));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Start the camera and show it in a video element
+     */
+    async start(videoElement) {
+        this.stop();
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'user', width: { ideal: 320 }, height: { ideal: 240 } },
+            audio: false
+        });
+        this.video = videoElement;
+        this.video.srcObject = this.stream;
+        await this.video.play();
+    }
+
+    /**
+     * Stop the camera
+     */
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+            this.video = null;
+        }
+    }
+
+    /**
+     * Sample frames and predict an emotion
+     * Returns: { emotion, confidence, expression } or null if no face was found
+     */
+    async detect() {
+        if (!this.video) {
+            throw new Error('Camera is not running.');
+        }
+
+        const options = new faceapi.TinyFaceDetectorOptions({ inputSize: 224, scoreThreshold: 0.5 });
+        const expressionTotals = {};
+        let framesWithFace = 0;
+
+        for (let i = 0; i < this.sampleCount; i++) {
+            const result = await faceapi.detectSingleFace(this.video, options).withFaceExpressions();
+            if (result) {
+                framesWithFace++;
+                for (const [expression, probability] of Object.entries(result.expressions)) {
+                    expressionTotals[expression] = (expressionTotals[expression] || 0) + probability;
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, this.sampleInterval));
+        }
+
+        if (framesWithFace === 0) return null;
+
+        const expressions = {};
+        for (const [expression, total] of Object.entries(expressionTotals)) {
+            expressions[expression] = total / framesWithFace;
+        }
+        return this.mapExpressions(expressions);
+    }
+
+    /**
+     * Map averaged expression probabilities to the best matching emotion key
+     */
+    mapExpressions(expressions) {
+        const emotionScores = {};
+        for (const [expression, probability] of Object.entries(expressions)) {
+            const mapping = this.expressionMap[expression] || {};
+            for (const [emotion, weight] of Object.entries(mapping)) {
+                emotionScores[emotion] = (emotionScores[emotion] || 0) + probability * weight;
+            }
+        }
+
+        const [emotion, confidence] = Object.entries(emotionScores)
+            .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+        const expression = Object.entries(expressions)
+            .sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+        return emotion ? { emotion, confidence, expression } : null;
+    }
+}
+
+// Export for use in other scripts
+window.EmotionDetector = EmotionDetector;
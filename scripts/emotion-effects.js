@@ -12,6 +12,15 @@ class EmotionEffects {
         this.currentEmotion = null;
         this.animationId = null;
         this.particles = [];
+
+        // One layer per emotion in a blend: { emotion, effect, weight, particles }
+        this.layers = [];
+        this.mixKey = null;
+        this.layerWeight = 1;
+        this.effectNames = ['happy', 'sad', 'chill', 'energetic', 'romantic', 'calm', 'angry', 'motivation'];
+
+        // Each mood's effect, e.g. a custom "Rainy day" mood using 'sad' (see emotion-registry.js)
+        this.emotions = EmotionRegistry.current;
         
         this.resize();
         window.addEventListener('resize', () => this.resize());
@@ -26,12 +35,62 @@ class EmotionEffects {
      * Set current emotion and start animation
      */
     setEmotion(emotion) {
-        if (this.currentEmotion === emotion) return;
-        
+        this.setEmotionMix(emotion ? { [emotion]: 1 } : {});
+    }
+
+    /**
+     * Blend several emotion effects, e.g. { chill: 0.7, romantic: 0.3 }
+     * Each effect shows a share of its particles matching its weight.
+     */
+    setEmotionMix(mix) {
+        const entries = Object.entries(mix)
+            .filter(([emotion, weight]) => weight > 0 && this.effectNames.includes(this.emotions.getBaseEmotion(emotion)))
+            .sort((a, b) => b[1] - a[1]);
+        const mixKey = entries.map(([emotion, weight]) => `${emotion}:${this.emotions.getBaseEmotion(emotion)}:${weight}`).join('+');
+        if (this.mixKey === mixKey) return;
+
         this.stop();
-        this.currentEmotion = emotion;
+        this.mixKey = mixKey;
+        this.currentEmotion = entries.length > 0 ? entries[0][0] : null;
+
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        this.layers = entries.map(([emotion, weight]) => {
+            const effect = this.emotions.getBaseEmotion(emotion);
+            this.particles = [];
+            this.initEffect(effect);
+            return { emotion, effect, weight: weight / total, particles: this.particles };
+        });
         this.particles = [];
-        
+
+        if (this.layers.length === 0) return;
+
+        this.animate();
+    }
+
+    /**
+     * Smoothly move layer weights towards a new mix of the same emotions
+     * (e.g. cross-fading along a mood journey). Other emotions start a new mix.
+     */
+    fadeToMix(mix, immediate = false) {
+        const emotions = Object.keys(mix);
+        const sameLayers = this.layers.length > 0 &&
+            emotions.every(emotion => this.layers.some(layer => layer.emotion === emotion));
+        if (!sameLayers) {
+            this.setEmotionMix(mix);
+            return;
+        }
+
+        const total = Object.values(mix).reduce((sum, weight) => sum + weight, 0) || 1;
+        this.layers.forEach(layer => {
+            layer.targetWeight = (mix[layer.emotion] || 0) / total;
+            if (immediate) layer.weight = layer.targetWeight;
+        });
+    }
+
+    /**
+     * Create the particles for one emotion's effect
+     */
+    initEffect(emotion) {
         switch(emotion) {
             case 'happy':
                 this.initHappyEffect();
@@ -57,11 +116,7 @@ class EmotionEffects {
             case 'motivation':
                 this.initMotivationEffect();
                 break;
-            default:
-                return;
         }
-        
-        this.animate();
     }
 
     stop() {
@@ -82,14 +137,6 @@ class EmotionEffects {
         this.animationId = requestAnimationFrame(() => this.animate());
     }
 
-    update() {
-        // Override in specific emotion effects
-    }
-
-    draw() {
-        // Override in specific emotion effects
-    }
-
     // ========== HAPPY: Bouncing Confetti ==========
     initHappyEffect() {
         const colors = ['#f093fb', '#f5576c', '#fee140', '#fa709a'];
@@ -124,7 +171,6 @@ class EmotionEffects {
     }
 
     drawHappyEffect() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.particles.forEach(p => {
             this.ctx.save();
             this.ctx.translate(p.x, p.y);
@@ -159,7 +205,6 @@ class EmotionEffects {
     }
 
     drawSadEffect() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.ctx.strokeStyle = 'rgba(79, 172, 254, 0.5)';
         this.ctx.lineWidth = 2;
         this.particles.forEach(p => {
@@ -197,7 +242,6 @@ class EmotionEffects {
     }
 
     drawChillEffect() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.particles.forEach(p => {
             this.ctx.beginPath();
             this.ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
@@ -239,7 +283,6 @@ class EmotionEffects {
     }
 
     drawEnergeticEffect() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.particles.forEach(p => {
             this.ctx.beginPath();
             this.ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
@@ -275,7 +318,6 @@ class EmotionEffects {
     }
 
     drawRomanticEffect() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.particles.forEach(p => {
             this.drawHeart(p.x, p.y, p.size, p.rotation, `rgba(255, 154, 158, ${p.opacity})`);
         });
@@ -304,11 +346,11 @@ class EmotionEffects {
     }
 
     drawCalmEffect() {
-        this.clear();
         const time = this.particles[0].time;
+        // A single full-screen glow, so fade it by layer weight instead of particle count
         const gradient = this.ctx.createLinearGradient(0, 0, 0, this.canvas.height);
-        gradient.addColorStop(0, `rgba(168, 237, 234, ${0.1 + Math.sin(time) * 0.05})`);
-        gradient.addColorStop(1, `rgba(254, 214, 227, ${0.1 + Math.cos(time) * 0.05})`);
+        gradient.addColorStop(0, `rgba(168, 237, 234, ${(0.1 + Math.sin(time) * 0.05) * this.layerWeight})`);
+        gradient.addColorStop(1, `rgba(254, 214, 227, ${(0.1 + Math.cos(time) * 0.05) * this.layerWeight})`);
         this.ctx.fillStyle = gradient;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     }
@@ -344,7 +386,6 @@ class EmotionEffects {
     }
 
     drawAngryEffect() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.particles.forEach(p => {
             this.ctx.fillStyle = p.color;
             this.ctx.beginPath();
@@ -387,7 +428,6 @@ class EmotionEffects {
     }
 
     drawMotivationEffect() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.particles.forEach(p => {
             const opacity = p.life / p.maxLife;
             this.ctx.fillStyle = p.color.replace(')', `, ${opacity * 0.8})`).replace('rgb', 'rgba');
@@ -405,7 +445,31 @@ class EmotionEffects {
 
     // ========== Update and Draw Methods ==========
     update() {
-        switch(this.currentEmotion) {
+        this.layers.forEach(layer => {
+            // Ease towards the cross-fade target
+            if (layer.targetWeight !== undefined) {
+                layer.weight += (layer.targetWeight - layer.weight) * 0.02;
+            }
+            this.particles = layer.particles;
+            this.updateEffect(layer.effect);
+        });
+    }
+
+    draw() {
+        this.clear();
+        this.layers.forEach(layer => {
+            // Draw only the layer's share of particles
+            const visible = layer.weight > 0.01 ? Math.max(1, Math.round(layer.particles.length * layer.weight)) : 0;
+            if (visible === 0) return;
+            this.particles = layer.particles.slice(0, visible);
+            this.layerWeight = layer.weight;
+            this.drawEffect(layer.effect);
+        });
+        this.layerWeight = 1;
+    }
+
+    updateEffect(emotion) {
+        switch(emotion) {
             case 'happy': this.updateHappyEffect(); break;
             case 'sad': this.updateSadEffect(); break;
             case 'chill': this.updateChillEffect(); break;
@@ -417,8 +481,8 @@ class EmotionEffects {
         }
     }
 
-    draw() {
-        switch(this.currentEmotion) {
+    drawEffect(emotion) {
+        switch(emotion) {
             case 'happy': this.drawHappyEffect(); break;
             case 'sad': this.drawSadEffect(); break;
             case 'chill': this.drawChillEffect(); break;
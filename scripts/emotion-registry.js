@@ -0,0 +1,302 @@
+/**
+ * Emotion Registry
+ * Every mood the app offers, as data: label, emoji, search words, seed artists, colours and background effect.
+ * Built-in moods are defined here; users add, edit and delete their own, saved locally.
+ */
+
+class EmotionRegistry {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'custom_moods';
+
+        // Built-in moods, in grid order
+        // query: Spotify search words; colors: visualizer primary/secondary (gradient and bg are optional overrides)
+        // effect: background effect (see EmotionEffects) - built-in moods use their own
+        this.builtIns = [
+            {
+                key: 'happy', label: 'Happy', emoji: '😄', effect: 'happy', effectName: 'Bouncing confetti',
+                query: 'happy joyful celebration party dance',
+                colors: { primary: '#f5576c', secondary: '#fee140', gradient: ['#f093fb', '#f5576c'], bg: 'rgba(250, 112, 154, 0.1)' }
+            },
+            {
+                key: 'sad', label: 'Sad', emoji: '😢', effect: 'sad', effectName: 'Gentle rainfall',
+                query: 'sad emotional heartbreak tears lonely',
+                colors: { primary: '#4facfe', secondary: '#00f2fe' }
+            },
+            {
+                key: 'chill', label: 'Chill', emoji: '😎', effect: 'chill', effectName: 'Floating bubbles',
+                query: 'chill relaxed calm peaceful mellow',
+                colors: { primary: '#43e97b', secondary: '#38f9d7' }
+            },
+            {
+                key: 'energetic', label: 'Energetic', emoji: '🔥', effect: 'energetic', effectName: 'Neon pulse waves',
+                query: 'energetic workout pump up motivation',
+                colors: { primary: '#fa709a', secondary: '#fee140' }
+            },
+            {
+                key: 'romantic', label: 'Romantic', emoji: '💕', effect: 'romantic', effectName: 'Floating hearts',
+                query: 'love romantic couple wedding',
+                colors: { primary: '#ff9a9e', secondary: '#fecfef' }
+            },
+            {
+                key: 'calm', label: 'Calm', emoji: '🧘', effect: 'calm', effectName: 'Soft glow waves',
+                query: 'meditation peaceful relaxation yoga',
+                colors: { primary: '#a8edea', secondary: '#fed6e3' }
+            },
+            {
+                key: 'angry', label: 'Angry', emoji: '😠', effect: 'angry', effectName: 'Scattered particles',
+                query: 'angry frustration rage intense',
+                colors: { primary: '#ff6b6b', secondary: '#ee5a6f' }
+            },
+            {
+                key: 'motivation', label: 'Motivation', emoji: '💪', effect: 'motivation', effectName: 'Twinkling stars',
+                query: 'motivation workout success achievement inspirational strength power',
+                colors: { primary: '#ff6b35', secondary: '#f7931e' }
+            }
+        ].map(emotion => ({ ...emotion, artists: [], builtIn: true }));
+
+        // User moods: { key, label, emoji, query, artists, colors: { primary, secondary }, effect, revision }
+        this.custom = this.load();
+    }
+
+    /**
+     * Load stored custom moods, repairing or skipping any that no longer make sense
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(stored)) {
+                const moods = [];
+                stored.forEach(entry => {
+                    const mood = this.repairStored(entry);
+                    const taken = mood && [...this.builtIns, ...moods].some(other => other.key === mood.key);
+                    if (mood && !taken) {
+                        moods.push(mood);
+                    } else {
+                        console.warn('Ignoring invalid stored custom mood:', entry);
+                    }
+                });
+                return moods;
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid stored custom moods:', error);
+        }
+        return [];
+    }
+
+    /**
+     * A stored custom mood with optional fields filled in, or null if the grid couldn't show it
+     * (no key or name, colours that aren't "#rrggbb", or an unknown background effect)
+     */
+    repairStored(mood) {
+        if (!mood || typeof mood !== 'object') return null;
+
+        const label = typeof mood.label === 'string' ? mood.label.trim() : '';
+        const colors = mood.colors || {};
+        if (typeof mood.key !== 'string' || !mood.key || !label ||
+            !this.isColor(colors.primary) || !this.isColor(colors.secondary) || !this.isEffect(mood.effect)) {
+            return null;
+        }
+
+        const query = typeof mood.query === 'string' ? mood.query.trim() : '';
+        const artists = Array.isArray(mood.artists) ? mood.artists.filter(artist => typeof artist === 'string' && artist) : [];
+        return {
+            key: mood.key,
+            label,
+            emoji: typeof mood.emoji === 'string' && mood.emoji.trim() ? mood.emoji.trim() : '🎵',
+            query: query || label.toLowerCase(),
+            artists,
+            colors: { primary: colors.primary, secondary: colors.secondary },
+            effect: mood.effect,
+            revision: Number.isInteger(mood.revision) && mood.revision > 0 ? mood.revision : 1
+        };
+    }
+
+    /**
+     * Persist custom moods
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.custom));
+    }
+
+    /**
+     * Every mood, built-in first
+     */
+    getAll() {
+        return [...this.builtIns, ...this.custom];
+    }
+
+    /**
+     * Keys of every mood
+     */
+    getKeys() {
+        return this.getAll().map(emotion => emotion.key);
+    }
+
+    /**
+     * One mood by key (null if unknown, e.g. a deleted custom mood)
+     */
+    get(key) {
+        return this.getAll().find(emotion => emotion.key === key) || null;
+    }
+
+    /**
+     * Display name, falling back to one made from the key for moods that no longer exist
+     * (e.g. a deleted "custom-rainy-day" still in the listening history)
+     */
+    getLabel(key) {
+        const emotion = this.get(key);
+        if (emotion) return emotion.label;
+
+        const name = key.replace(/^custom-/, '').replace(/-/g, ' ');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Search words for a mood
+     */
+    getQuery(key) {
+        const emotion = this.get(key);
+        return emotion ? emotion.query : key;
+    }
+
+    /**
+     * The built-in mood a mood builds on: its background effect, and for custom moods
+     * also its audio-feature targets, exclusion rules and local-library tags
+     */
+    getBaseEmotion(key) {
+        const emotion = this.get(key);
+        return emotion ? emotion.effect : key;
+    }
+
+    /**
+     * Visualizer colours: { primary, secondary, bg }
+     */
+    getColors(key) {
+        const emotion = this.get(key);
+        if (!emotion) return null;
+
+        const { primary, secondary, bg } = emotion.colors;
+        return { primary, secondary, bg: bg || this.toRgba(primary, 0.1) };
+    }
+
+    /**
+     * CSS gradient for the mood's card
+     */
+    getGradient(key) {
+        const emotion = this.get(key);
+        if (!emotion) return null;
+
+        const [from, to] = emotion.colors.gradient || [emotion.colors.primary, emotion.colors.secondary];
+        return `linear-gradient(135deg, ${from} 0%, ${to} 100%)`;
+    }
+
+    /**
+     * Key that changes whenever a custom mood is edited, so cached playlists aren't reused
+     */
+    getVersionedKey(key) {
+        const emotion = this.get(key);
+        return emotion && emotion.revision ? `${key}@${emotion.revision}` : key;
+    }
+
+    /**
+     * Whether a value is a "#rrggbb" colour
+     */
+    isColor(value) {
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+    }
+
+    /**
+     * Whether an effect name is one of the built-in background effects
+     */
+    isEffect(effect) {
+        return this.builtIns.some(emotion => emotion.effect === effect);
+    }
+
+    /**
+     * Create a custom mood, or update one when data.key is set
+     * Throws an Error with a user-facing message when the data is invalid.
+     */
+    saveCustom(data) {
+        const label = String(data.label || '').trim();
+        const emoji = String(data.emoji || '').trim() || '🎵';
+        const query = String(data.query || '').trim().replace(/\s+/g, ' ');
+        const artists = (Array.isArray(data.artists) ? data.artists : String(data.artists || '').split(','))
+            .map(artist => artist.trim().toLowerCase())
+            .filter(Boolean);
+
+        if (!label || label.length > 24) {
+            throw new Error('Give the mood a name of up to 24 characters.');
+        }
+        const sameName = this.getAll().find(emotion => emotion.label.toLowerCase() === label.toLowerCase());
+        if (sameName && sameName.key !== data.key) {
+            throw new Error(`There is already a mood called "${sameName.label}".`);
+        }
+        if (!query) {
+            throw new Error('Add a few search words, e.g. "rainy day acoustic".');
+        }
+        if (!this.isColor(data.primary) || !this.isColor(data.secondary)) {
+            throw new Error('Pick two colours.');
+        }
+        if (!this.isEffect(data.effect)) {
+            throw new Error('Pick a background effect.');
+        }
+
+        const existing = data.key ? this.custom.find(mood => mood.key === data.key) : null;
+        if (data.key && !existing) {
+            throw new Error('That mood no longer exists.');
+        }
+
+        const mood = {
+            key: existing ? existing.key : this.createKey(label),
+            label,
+            emoji,
+            query,
+            artists,
+            colors: { primary: data.primary, secondary: data.secondary },
+            effect: data.effect,
+            revision: existing ? existing.revision + 1 : 1
+        };
+
+        if (existing) {
+            this.custom[this.custom.indexOf(existing)] = mood;
+        } else {
+            this.custom.push(mood);
+        }
+        this.save();
+        return mood;
+    }
+
+    /**
+     * Remove a custom mood (built-in moods can't be deleted)
+     */
+    deleteCustom(key) {
+        this.custom = this.custom.filter(mood => mood.key !== key);
+        this.save();
+    }
+
+    /**
+     * Unique key for a new custom mood, e.g. "custom-rainy-day"
+     */
+    createKey(label) {
+        const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'mood';
+        let key = `custom-${slug}`;
+        for (let i = 2; this.get(key); i++) {
+            key = `custom-${slug}-${i}`;
+        }
+        return key;
+    }
+
+    /**
+     * "#rrggbb" as an rgba() colour
+     */
+    toRgba(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+}
+
+// Moods in use (shared by the app, providers and effects)
+EmotionRegistry.current = new EmotionRegistry();
+
+// Export for use in other scripts
+window.EmotionRegistry = EmotionRegistry;
@@ -0,0 +1,166 @@
+/**
+ * Track Language Classifier
+ * Scores how likely a track is in a language (0-1) from its script, curated artists,
+ * title/album keywords, and artist genres and record labels from the API, with the reasons why
+ */
+
+class LanguageClassifier {
+    constructor(profiles = LanguageProfiles) {
+        // All profiles, to find each curated artist's main language
+        this.profiles = profiles;
+
+        // How much each signal counts on its own (combined so several weak signals add up)
+        this.signalWeights = {
+            script: 0.9,        // Title or artist written in the language's script ('any' profiles)
+            scriptOnly: 0.5,    // Every letter in the script ('all' profiles - shared scripts like Latin say less)
+            knownArtist: 0.8,   // A curated artist whose main language this is (whole name, not a substring)
+            sharedArtist: 0.3,  // A curated artist mainly listed for another language
+            genre: 0.7,         // An artist genre from the API, e.g. "tamil pop"
+            keyword: 0.6,       // The language's name or industry in the title or artist ("kollywood")
+            albumKeyword: 0.4,  // The same words only in the album name
+            label: 0.5          // A record label that mostly releases this language
+        };
+
+        // Letters in a script other than Latin and the profile's own are evidence against it
+        this.foreignScriptPenalty = 0.5;
+
+        // Curated artists per profile (see getKnownArtists)
+        this.knownArtistCache = new Map();
+    }
+
+    /**
+     * Lowercase and collapse punctuation, so "A.R. Rahman" and "a r rahman" compare equal
+     */
+    normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[.\-_'’]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Artist name without spaces, so "G. V. Prakash" matches "gv prakash"
+     */
+    artistKey(name) {
+        return this.normalize(name).replace(/ /g, '');
+    }
+
+    /**
+     * Whether a hint appears in text as whole words
+     */
+    containsWords(text, hint) {
+        const normalizedHint = this.normalize(hint);
+        return ` ${text} `.includes(` ${normalizedHint} `);
+    }
+
+    /**
+     * Score a track against a language profile
+     * metadata: { genres: [...], labels: [...] } from the API, if available
+     * Returns: { score, reasons: [...] }
+     */
+    classify(track, profile, metadata = {}) {
+        const reasons = [];
+        const weights = [];
+        const add = (signal, reason) => {
+            weights.push(this.signalWeights[signal]);
+            reasons.push(reason);
+        };
+
+        const artists = track.artists && track.artists.length > 0 ? track.artists : [track.artist];
+        const titleText = this.normalize(`${track.name} ${artists.join(' ')}`);
+        const albumText = this.normalize(track.album);
+
+        // Script
+        const letters = `${track.name} ${artists.join(' ')} ${track.album || ''}`.match(/\p{L}/gu) || [];
+        const inScript = letters.filter(letter => profile.scriptPattern.test(letter));
+        if (profile.scriptMatch === 'all') {
+            if (letters.length > 0 && inScript.length === letters.length) {
+                add('scriptOnly', `${profile.label} script only`);
+            }
+        } else if (inScript.length > 0) {
+            add('script', `${profile.label} script in title, artist or album`);
+        }
+
+        const foreign = letters.filter(letter => !profile.scriptPattern.test(letter) && !/[A-Za-zÀ-ɏ]/.test(letter));
+        const penalty = foreign.length > 0 && inScript.length === 0 ? this.foreignScriptPenalty : 0;
+        if (penalty > 0) {
+            reasons.push('written in another script');
+        }
+
+        // Curated artists
+        const knownArtists = this.getKnownArtists(profile);
+        const curated = artists.filter(artist => knownArtists.has(this.artistKey(artist)));
+        const main = curated.find(artist => knownArtists.get(this.artistKey(artist)));
+        if (main) {
+            add('knownArtist', `curated ${profile.label} artist "${main}"`);
+        } else if (curated.length > 0) {
+            add('sharedArtist', `"${curated[0]}" is mainly curated for another language`);
+        }
+
+        // Keywords in the title/artist, or only in the album name
+        const keyword = (profile.keywords || []).find(hint => this.containsWords(titleText, hint));
+        const albumKeyword = keyword ? null : (profile.keywords || []).find(hint => this.containsWords(albumText, hint));
+        if (keyword) {
+            add('keyword', `"${keyword}" in title or artist`);
+        } else if (albumKeyword) {
+            add('albumKeyword', `"${albumKeyword}" in album name`);
+        }
+
+        // Artist genres from the API
+        const genre = (metadata.genres || []).find(name => (profile.genreHints || []).some(hint => this.containsWords(this.normalize(name), hint)));
+        if (genre) {
+            add('genre', `artist genre "${genre}"`);
+        }
+
+        // Record labels from the API
+        const label = (metadata.labels || []).find(name => (profile.labelHints || []).some(hint => this.containsWords(this.normalize(name), hint)));
+        if (label) {
+            add('label', `label "${label}"`);
+        }
+
+        // Independent signals: each one removes part of the remaining doubt
+        const confidence = 1 - weights.reduce((doubt, weight) => doubt * (1 - weight), 1);
+        const score = Math.max(0, Math.round((confidence - penalty) * 100) / 100);
+
+        return { score, reasons };
+    }
+
+    /**
+     * How often a profile lists each curated artist (seed lists plus knownArtists), by compact key
+     */
+    countCurated(profile) {
+        const counts = new Map();
+        [
+            ...Object.values(profile.artists || {}).flat(),
+            ...(profile.defaultArtists || []),
+            ...(profile.knownArtists || [])
+        ].forEach(name => {
+            const key = this.artistKey(name);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return counts;
+    }
+
+    /**
+     * Curated artists for a profile, mapped to whether this is their main language
+     * (no other profile lists them as often - e.g. Anirudh is mainly Tamil, though also seeded for Telugu)
+     */
+    getKnownArtists(profile) {
+        if (!this.knownArtistCache.has(profile)) {
+            const others = Object.values(this.profiles)
+                .filter(other => other !== profile)
+                .map(other => this.countCurated(other));
+
+            const known = new Map();
+            this.countCurated(profile).forEach((count, key) => {
+                known.set(key, others.every(counts => (counts.get(key) || 0) < count));
+            });
+            this.knownArtistCache.set(profile, known);
+        }
+        return this.knownArtistCache.get(profile);
+    }
+}
+
+// Export for use in other scripts
+window.LanguageClassifier = LanguageClassifier;
@@ -0,0 +1,164 @@
+/**
+ * Language Profiles
+ * Search keywords, seed artists and detection hints for each catalogue language
+ */
+
+const LanguageProfiles = {
+    tamil: {
+        label: 'Tamil',
+        keyword: 'tamil',
+        market: 'IN',
+        // Tamil script block
+        scriptPattern: /[\u0B80-\u0BFF]/,
+        scriptMatch: 'any',
+        artists: {
+            happy: ['anirudh ravichander', 'gv prakash', 'sundar c', 'dhanush'],
+            sad: ['ar rahman', 'ilayaraja', 'yuvan shankar raja', 'sundar c'],
+            chill: ['anirudh ravichander', 'gv prakash', 'yuvan shankar raja'],
+            energetic: ['anirudh ravichander', 'gv prakash', 'dhanush', 'sundar c'],
+            romantic: ['ar rahman', 'ilayaraja', 'yuvan shankar raja', 'sundar c'],
+            calm: ['ar rahman', 'ilayaraja', 'yuvan shankar raja'],
+            angry: ['anirudh ravichander', 'gv prakash', 'dhanush'],
+            motivation: ['anirudh ravichander', 'd imman', 'gv prakash', 'hip hop tamizha']
+        },
+        defaultArtists: ['anirudh ravichander', 'ar rahman', 'ilayaraja'],
+        // Language detection hints (see language-classifier.js)
+        keywords: ['tamil', 'தமிழ்', 'kollywood'],
+        knownArtists: [
+            'ilaiyaraaja', 'harris jayaraj', 'santhosh narayanan', 'g v prakash kumar',
+            'hiphop tamizha', 'vijay antony', 'sean roldan', 't m soundararajan'
+        ],
+        genreHints: ['tamil', 'kollywood'],
+        labelHints: ['think music', 'divo', 'u1 records', 'ayngaran', 'noise and grains', 'sony music south']
+    },
+
+    hindi: {
+        label: 'Hindi',
+        keyword: 'hindi',
+        market: 'IN',
+        // Devanagari script block
+        scriptPattern: /[\u0900-\u097F]/,
+        scriptMatch: 'any',
+        artists: {
+            happy: ['pritam', 'vishal-shekhar', 'badshah', 'neha kakkar'],
+            sad: ['arijit singh', 'jubin nautiyal', 'atif aslam', 'ankit tiwari'],
+            chill: ['prateek kuhad', 'the local train', 'arijit singh'],
+            energetic: ['vishal-shekhar', 'badshah', 'divine', 'pritam'],
+            romantic: ['arijit singh', 'shreya ghoshal', 'atif aslam', 'armaan malik'],
+            calm: ['ar rahman', 'lata mangeshkar', 'kailash kher'],
+            angry: ['divine', 'raftaar', 'emiway bantai'],
+            motivation: ['shankar mahadevan', 'sukhwinder singh', 'divine', 'vishal dadlani']
+        },
+        defaultArtists: ['arijit singh', 'pritam', 'shreya ghoshal'],
+        keywords: ['hindi', 'हिन्दी', 'हिंदी', 'bollywood'],
+        knownArtists: [
+            'shankar ehsaan loy', 'kishore kumar', 'sonu nigam', 'mohammed rafi',
+            'asha bhosle', 'amit trivedi', 'sachet tandon'
+        ],
+        genreHints: ['hindi', 'bollywood', 'filmi'],
+        labelHints: ['t series', 'zee music', 'tips', 'yrf']
+    },
+
+    telugu: {
+        label: 'Telugu',
+        keyword: 'telugu',
+        market: 'IN',
+        // Telugu script block
+        scriptPattern: /[\u0C00-\u0C7F]/,
+        scriptMatch: 'any',
+        artists: {
+            happy: ['devi sri prasad', 'thaman s', 'mickey j meyer'],
+            sad: ['sid sriram', 'mm keeravani', 'anurag kulkarni'],
+            chill: ['mickey j meyer', 'sid sriram', 'gopi sundar'],
+            energetic: ['devi sri prasad', 'thaman s', 'anirudh ravichander'],
+            romantic: ['sid sriram', 'gopi sundar', 'hesham abdul wahab'],
+            calm: ['mm keeravani', 'ilayaraja', 'sp balasubrahmanyam'],
+            angry: ['thaman s', 'devi sri prasad', 'ravi basrur'],
+            motivation: ['mm keeravani', 'devi sri prasad', 'thaman s']
+        },
+        defaultArtists: ['devi sri prasad', 'thaman s', 'sid sriram'],
+        keywords: ['telugu', 'తెలుగు', 'tollywood'],
+        knownArtists: ['thaman', 'm m keeravaani', 'ram miriyala', 'kaala bhairava'],
+        genreHints: ['telugu', 'tollywood'],
+        labelHints: ['aditya music', 'mango music', 'lahari music']
+    },
+
+    malayalam: {
+        label: 'Malayalam',
+        keyword: 'malayalam',
+        market: 'IN',
+        // Malayalam script block
+        scriptPattern: /[\u0D00-\u0D7F]/,
+        scriptMatch: 'any',
+        artists: {
+            happy: ['sushin shyam', 'shaan rahman', 'vineeth sreenivasan'],
+            sad: ['k s chithra', 'm jayachandran', 'vidyasagar'],
+            chill: ['sushin shyam', 'hesham abdul wahab', 'shaan rahman'],
+            energetic: ['sushin shyam', 'jakes bejoy', 'dabzee'],
+            romantic: ['hesham abdul wahab', 'vidyasagar', 'k s chithra'],
+            calm: ['k j yesudas', 'm jayachandran', 'ouseppachan'],
+            angry: ['jakes bejoy', 'dabzee', 'sushin shyam'],
+            motivation: ['sushin shyam', 'jakes bejoy', 'vineeth sreenivasan']
+        },
+        defaultArtists: ['sushin shyam', 'k s chithra', 'vidyasagar'],
+        keywords: ['malayalam', 'മലയാളം', 'mollywood'],
+        knownArtists: ['yesudas', 'p jayachandran', 'bijibal', 'rex vijayan'],
+        genreHints: ['malayalam', 'mollywood'],
+        labelHints: ['muzik247', 'manorama music', 'satyam audios', 'goodwill entertainments']
+    },
+
+    korean: {
+        label: 'Korean',
+        keyword: 'korean',
+        market: 'KR',
+        // Hangul syllables, jamo and compatibility jamo
+        scriptPattern: /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/,
+        scriptMatch: 'any',
+        artists: {
+            happy: ['twice', 'red velvet', 'seventeen'],
+            sad: ['taeyeon', 'paul kim', 'baek yerin'],
+            chill: ['dean', 'crush', 'heize'],
+            energetic: ['stray kids', 'blackpink', 'ateez'],
+            romantic: ['iu', 'akmu', '10cm'],
+            calm: ['iu', 'lee hi', 'baek yerin'],
+            angry: ['stray kids', 'epik high', 'zico'],
+            motivation: ['bts', 'seventeen', 'ateez']
+        },
+        defaultArtists: ['bts', 'iu', 'blackpink'],
+        keywords: ['k pop', 'kpop', 'korean', 'k drama', 'kdrama'],
+        knownArtists: ['newjeans', 'aespa', 'le sserafim', 'bigbang'],
+        genreHints: ['k pop', 'korean', 'k rap', 'k indie', 'k ballad'],
+        labelHints: ['sm entertainment', 'jyp entertainment', 'yg entertainment', 'hybe', 'big hit', 'starship', 'kakao entertainment']
+    },
+
+    english: {
+        label: 'English',
+        keyword: 'english',
+        market: 'US',
+        // Latin script - every letter must be Latin, so other scripts are excluded
+        scriptPattern: /[A-Za-z\u00C0-\u024F]/,
+        scriptMatch: 'all',
+        artists: {
+            happy: ['pharrell williams', 'dua lipa', 'bruno mars'],
+            sad: ['adele', 'lewis capaldi', 'billie eilish'],
+            chill: ['khalid', 'norah jones', 'jack johnson'],
+            energetic: ['imagine dragons', 'the weeknd', 'calvin harris'],
+            romantic: ['ed sheeran', 'john legend', 'taylor swift'],
+            calm: ['ludovico einaudi', 'enya', 'bon iver'],
+            angry: ['linkin park', 'rage against the machine', 'eminem'],
+            motivation: ['eminem', 'survivor', 'imagine dragons']
+        },
+        defaultArtists: ['ed sheeran', 'coldplay', 'taylor swift'],
+        keywords: [],
+        knownArtists: [],
+        genreHints: [],
+        labelHints: []
+    }
+};
+
+// Languages used when the user has not chosen any (config.json's defaultLanguages overrides this)
+const DEFAULT_LANGUAGES = ['tamil'];
+
+// Export for use in other scripts
+window.LanguageProfiles = LanguageProfiles;
+window.DEFAULT_LANGUAGES = DEFAULT_LANGUAGES;
@@ -0,0 +1,211 @@
+/**
+ * Listening History
+ * Logs mood selections and track plays locally and derives statistics from them
+ * (mood frequency by day or week, top artists per emotion, listening streaks)
+ */
+
+class ListeningHistory {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'listening_history';
+
+        // Oldest entries are dropped beyond this many, to stay within localStorage limits
+        this.maxEntries = options.maxEntries || 5000;
+
+        // Entries: { type: 'mood', emotion, at } or { type: 'play', emotion, trackId, name, artist, at }
+        this.entries = this.load();
+    }
+
+    /**
+     * Load stored entries
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (Array.isArray(stored)) return stored;
+        } catch (error) {
+            console.warn('Ignoring invalid stored listening history:', error);
+        }
+        return [];
+    }
+
+    /**
+     * Persist entries, trimming the oldest beyond maxEntries
+     */
+    save() {
+        if (this.entries.length > this.maxEntries) {
+            this.entries = this.entries.slice(this.entries.length - this.maxEntries);
+        }
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save listening history:', error);
+        }
+    }
+
+    /**
+     * Record an emotion the user picked
+     */
+    logMood(emotion) {
+        this.entries.push({ type: 'mood', emotion, at: Date.now() });
+        this.save();
+    }
+
+    /**
+     * Record a track played while an emotion was selected
+     */
+    logPlay(track, emotion) {
+        this.entries.push({
+            type: 'play',
+            emotion: emotion || null,
+            trackId: track.id,
+            name: track.name,
+            artist: track.artist,
+            at: Date.now()
+        });
+        this.save();
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.entries = [];
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Local calendar day of a timestamp, as YYYY-MM-DD
+     */
+    dayKey(time) {
+        const date = new Date(time);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Day key of the Monday starting a timestamp's week
+     */
+    weekKey(time) {
+        const date = new Date(time);
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        return this.dayKey(date.getTime());
+    }
+
+    /**
+     * Mood selections per day or week, newest period last
+     * Returns: [{ key, counts: { emotion: n }, total }] for the last `periods` days/weeks
+     */
+    getMoodFrequency(period = 'day', periods = 7) {
+        const keyOf = (time) => period === 'week' ? this.weekKey(time) : this.dayKey(time);
+        const stepDays = period === 'week' ? 7 : 1;
+
+        // Empty buckets, so quiet days still show up
+        const buckets = new Map();
+        const cursor = new Date();
+        cursor.setHours(12, 0, 0, 0);
+        cursor.setDate(cursor.getDate() - stepDays * (periods - 1));
+        for (let i = 0; i < periods; i++) {
+            buckets.set(keyOf(cursor.getTime()), { key: keyOf(cursor.getTime()), counts: {}, total: 0 });
+            cursor.setDate(cursor.getDate() + stepDays);
+        }
+
+        this.entries
+            .filter(entry => entry.type === 'mood')
+            .forEach(entry => {
+                const bucket = buckets.get(keyOf(entry.at));
+                if (!bucket) return;
+                bucket.counts[entry.emotion] = (bucket.counts[entry.emotion] || 0) + 1;
+                bucket.total++;
+            });
+
+        return [...buckets.values()];
+    }
+
+    /**
+     * Most-played artists for each emotion
+     * Returns: { emotion: [{ artist, plays }] }, at most `limit` artists each
+     */
+    getTopArtists(limit = 3) {
+        const counts = {};
+        this.entries
+            .filter(entry => entry.type === 'play' && entry.emotion && entry.artist)
+            .forEach(entry => {
+                counts[entry.emotion] = counts[entry.emotion] || {};
+                counts[entry.emotion][entry.artist] = (counts[entry.emotion][entry.artist] || 0) + 1;
+            });
+
+        const top = {};
+        Object.entries(counts).forEach(([emotion, artists]) => {
+            top[emotion] = Object.entries(artists)
+                .map(([artist, plays]) => ({ artist, plays }))
+                .sort((a, b) => b.plays - a.plays || a.artist.localeCompare(b.artist))
+                .slice(0, limit);
+        });
+        return top;
+    }
+
+    /**
+     * Consecutive days with any activity
+     * current counts back from today (or yesterday, so an unbroken streak isn't lost before you listen today)
+     * Returns: { current, longest }
+     */
+    getStreaks() {
+        const days = new Set(this.entries.map(entry => this.dayKey(entry.at)));
+        const runLength = (key) => {
+            let length = 0;
+            for (let day = key; days.has(day); day = this.shiftDay(day, -1)) length++;
+            return length;
+        };
+
+        // Longest: measure back from each day that ends a run
+        let longest = 0;
+        days.forEach(key => {
+            if (!days.has(this.shiftDay(key, 1))) {
+                longest = Math.max(longest, runLength(key));
+            }
+        });
+
+        const today = this.dayKey(Date.now());
+        const current = runLength(days.has(today) ? today : this.shiftDay(today, -1));
+
+        return { current, longest };
+    }
+
+    /**
+     * Day key offset by a number of days (computed at noon, so DST changes don't skip a day)
+     */
+    shiftDay(key, offset) {
+        const [year, month, day] = key.split('-').map(Number);
+        return this.dayKey(new Date(year, month - 1, day + offset, 12).getTime());
+    }
+
+    /**
+     * History as pretty-printed JSON
+     */
+    exportJSON() {
+        return JSON.stringify(this.entries.map(entry => ({
+            ...entry,
+            at: new Date(entry.at).toISOString()
+        })), null, 2);
+    }
+
+    /**
+     * History as CSV (one row per entry)
+     */
+    exportCSV() {
+        const columns = ['at', 'type', 'emotion', 'trackId', 'name', 'artist'];
+        const escape = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = this.entries.map(entry => columns.map(column => {
+            return escape(column === 'at' ? new Date(entry.at).toISOString() : entry[column]);
+        }).join(','));
+        return [columns.join(','), ...rows].join('\n');
+    }
+}
+
+// Export for use in other scripts
+window.ListeningHistory = ListeningHistory;
@@ -0,0 +1,100 @@
+/**
+ * Local Music Provider
+ * Serves tracks from a JSON catalogue and same-origin audio files - no account or network needed
+ */
+
+class LocalMusicProvider extends MusicProvider {
+    constructor(catalogueUrl = 'catalogue/tracks.json') {
+        super();
+        this.catalogueUrl = catalogueUrl;
+        this.cataloguePromise = null;
+    }
+
+    get label() {
+        return 'Local library';
+    }
+
+    get requiresAuth() {
+        return false;
+    }
+
+    get playbackMode() {
+        return 'audio';
+    }
+
+    /**
+     * Load the track catalogue once and reuse it
+     */
+    loadCatalogue() {
+        if (!this.cataloguePromise) {
+            this.cataloguePromise = fetch(this.catalogueUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load local catalogue: HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => data.tracks || [])
+                .catch(error => {
+                    // Allow a later call to try again
+                    this.cataloguePromise = null;
+                    throw error;
+                });
+        }
+        return this.cataloguePromise;
+    }
+
+    /**
+     * Search the local catalogue for tracks tagged with an emotion (or a weighted emotion mix)
+     */
+    async searchByEmotion(emotion, limit = 20, options = {}) {
+        // Weighted mixes are fetched per emotion and interleaved
+        if (typeof emotion === 'object') {
+            return this.searchByMood(emotion, limit, options);
+        }
+
+        try {
+            const catalogue = await this.loadCatalogue();
+            // The catalogue is shared, so it keeps loading; only this search is cancelled
+            options.signal?.throwIfAborted();
+
+            // Custom moods match the tags of the mood they build on
+            const baseEmotion = this.emotions.getBaseEmotion(emotion);
+            const matches = catalogue.filter(track =>
+                Array.isArray(track.emotions) &&
+                track.emotions.includes(baseEmotion) &&
+                (!track.language || this.languages.includes(track.language))
+            );
+            const allowed = this.moodRules.filter(baseEmotion, this.formatTrackResults(matches));
+            return this.taste.rerank(emotion, allowed).slice(0, limit);
+        } catch (error) {
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            console.error('Local catalogue error:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Format catalogue entries like Spotify results, resolving paths against the catalogue URL
+     */
+    formatTrackResults(tracks) {
+        const base = new URL(this.catalogueUrl, window.location.href);
+        return tracks.map(track => ({
+            id: track.id,
+            name: track.name,
+            artist: track.artist,
+            album: track.album,
+            albumArt: track.albumArt ? new URL(track.albumArt, base).href : '',
+            previewUrl: track.audio ? new URL(track.audio, base).href : null,
+            externalUrl: null,
+            duration: track.duration
+        }));
+    }
+}
+
+MusicProvider.register('local', LocalMusicProvider);
+
+// Export for use in other scripts
+window.LocalMusicProvider = LocalMusicProvider;
@@ -0,0 +1,276 @@
+/**
+ * Mood Text Classifier
+ * Lexicon-based, fully local: turns free text ("stressed before exams but hopeful")
+ * into a weighted mix of the app's emotion keys
+ */
+
+class MoodClassifier {
+    constructor() {
+        // Word or phrase -> emotion weights (which music fits someone saying this)
+        this.lexicon = {
+            // Happy
+            'happy': { happy: 1 },
+            'glad': { happy: 1 },
+            'joy': { happy: 1 },
+            'joyful': { happy: 1 },
+            'cheerful': { happy: 1 },
+            'excited': { happy: 0.6, energetic: 0.4 },
+            'great': { happy: 0.8 },
+            'good': { happy: 0.6 },
+            'amazing': { happy: 0.8, energetic: 0.2 },
+            'celebrate': { happy: 0.8, energetic: 0.2 },
+            'celebrating': { happy: 0.8, energetic: 0.2 },
+            'party': { happy: 0.6, energetic: 0.4 },
+            'fun': { happy: 0.8 },
+            'grateful': { happy: 0.7, calm: 0.3 },
+            'proud': { happy: 0.5, motivation: 0.5 },
+
+            // Sad
+            'sad': { sad: 1 },
+            'unhappy': { sad: 1 },
+            'down': { sad: 0.8 },
+            'depressed': { sad: 1 },
+            'lonely': { sad: 1 },
+            'alone': { sad: 0.7 },
+            'heartbroken': { sad: 1 },
+            'heartbreak': { sad: 1 },
+            'broken heart': { sad: 1 },
+            'miss': { sad: 0.6, romantic: 0.4 },
+            'missing': { sad: 0.6, romantic: 0.4 },
+            'cry': { sad: 1 },
+            'crying': { sad: 1 },
+            'tears': { sad: 1 },
+            'hurt': { sad: 0.8, angry: 0.2 },
+            'disappointed': { sad: 0.8, angry: 0.2 },
+            'gloomy': { sad: 0.9 },
+            'blue': { sad: 0.6 },
+            'tired': { sad: 0.4, calm: 0.6 },
+            'exhausted': { sad: 0.4, calm: 0.6 },
+            'burnt out': { sad: 0.4, calm: 0.6 },
+            'burned out': { sad: 0.4, calm: 0.6 },
+
+            // Chill
+            'chill': { chill: 1 },
+            'chilled': { chill: 1 },
+            'relaxed': { chill: 0.7, calm: 0.3 },
+            'relaxing': { chill: 0.7, calm: 0.3 },
+            'lazy': { chill: 1 },
+            'mellow': { chill: 1 },
+            'easygoing': { chill: 1 },
+            'weekend': { chill: 0.6, happy: 0.4 },
+            'sunday': { chill: 0.8, calm: 0.2 },
+            'bored': { chill: 0.6, energetic: 0.4 },
+
+            // Energetic
+            'energetic': { energetic: 1 },
+            'energized': { energetic: 1 },
+            'hyped': { energetic: 1 },
+            'pumped': { energetic: 0.8, motivation: 0.2 },
+            'pumped up': { energetic: 0.8, motivation: 0.2 },
+            'dance': { energetic: 0.6, happy: 0.4 },
+            'dancing': { energetic: 0.6, happy: 0.4 },
+            'workout': { energetic: 0.5, motivation: 0.5 },
+            'gym': { energetic: 0.5, motivation: 0.5 },
+            'running': { energetic: 0.6, motivation: 0.4 },
+            'restless': { energetic: 0.6, angry: 0.4 },
+
+            // Romantic
+            'romantic': { romantic: 1 },
+            'love': { romantic: 1 },
+            'in love': { romantic: 1 },
+            'crush': { romantic: 1 },
+            'date': { romantic: 0.8, happy: 0.2 },
+            'darling': { romantic: 1 },
+            'wedding': { romantic: 0.7, happy: 0.3 },
+            'anniversary': { romantic: 0.8, happy: 0.2 },
+            'affectionate': { romantic: 1 },
+
+            // Calm
+            'calm': { calm: 1 },
+            'peaceful': { calm: 1 },
+            'serene': { calm: 1 },
+            'meditate': { calm: 1 },
+            'meditation': { calm: 1 },
+            'sleep': { calm: 1 },
+            'sleepy': { calm: 0.8, chill: 0.2 },
+            'focus': { calm: 0.6, motivation: 0.4 },
+            'study': { calm: 0.6, motivation: 0.4 },
+            'studying': { calm: 0.6, motivation: 0.4 },
+            'stressed': { calm: 0.8, angry: 0.2 },
+            'stress': { calm: 0.8, angry: 0.2 },
+            'anxious': { calm: 0.9, sad: 0.1 },
+            'anxiety': { calm: 0.9, sad: 0.1 },
+            'nervous': { calm: 0.9, sad: 0.1 },
+            'worried': { calm: 0.7, sad: 0.3 },
+            'overwhelmed': { calm: 0.8, sad: 0.2 },
+            'scared': { calm: 0.7, sad: 0.3 },
+
+            // Angry
+            'angry': { angry: 1 },
+            'mad': { angry: 1 },
+            'furious': { angry: 1 },
+            'rage': { angry: 1 },
+            'annoyed': { angry: 0.8, chill: 0.2 },
+            'irritated': { angry: 0.8, chill: 0.2 },
+            'frustrated': { angry: 0.8, sad: 0.2 },
+            'frustration': { angry: 0.8, sad: 0.2 },
+            'hate': { angry: 1 },
+            'pissed': { angry: 1 },
+
+            // Motivation
+            'motivated': { motivation: 1 },
+            'motivation': { motivation: 1 },
+            'determined': { motivation: 1 },
+            'hopeful': { motivation: 0.6, happy: 0.4 },
+            'hope': { motivation: 0.6, happy: 0.4 },
+            'inspired': { motivation: 0.8, happy: 0.2 },
+            'ambitious': { motivation: 1 },
+            'confident': { motivation: 0.7, happy: 0.3 },
+            'exam': { motivation: 0.5, calm: 0.5 },
+            'exams': { motivation: 0.5, calm: 0.5 },
+            'deadline': { motivation: 0.6, calm: 0.4 },
+            'interview': { motivation: 0.6, calm: 0.4 },
+            'win': { motivation: 0.7, happy: 0.3 },
+            'strong': { motivation: 0.8, energetic: 0.2 }
+        };
+
+        // Words that strengthen the next sentiment word
+        this.intensifiers = {
+            'very': 1.5,
+            'really': 1.5,
+            'so': 1.4,
+            'too': 1.3,
+            'extremely': 1.8,
+            'super': 1.5,
+            'totally': 1.5,
+            'quite': 1.2,
+            'bit': 0.6,
+            'slightly': 0.6,
+            'little': 0.6
+        };
+
+        // Words that flip the meaning of the next few words
+        this.negations = ['not', 'no', 'never', 'dont', 'don\'t', 'isnt', 'isn\'t', 'cant', 'can\'t', 'without', 'hardly'];
+        this.negationWindow = 3;
+
+        // Music that fits a negated feeling ("not happy" -> sad)
+        // "not calm" reads as anxious, which the lexicon also answers with calm music
+        this.negatedEmotions = {
+            happy: 'sad',
+            sad: 'happy',
+            chill: 'energetic',
+            energetic: 'chill',
+            romantic: 'sad',
+            calm: 'calm',
+            angry: 'calm',
+            motivation: 'sad'
+        };
+
+        // Words after a contrast ("but", "though") carry more weight
+        this.contrastWords = ['but', 'however', 'though', 'although', 'yet'];
+        this.contrastBoost = 1.5;
+
+        // Emotions below this share are dropped; at most maxEmotions are kept
+        this.minWeight = 0.15;
+        this.maxEmotions = 3;
+    }
+
+    /**
+     * Split text into lowercase word tokens, keeping clause punctuation as separate tokens
+     */
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[\u2018\u2019]/g, '\'')
+            .match(/[a-z']+|[.,;:!?]/g) || [];
+    }
+
+    /**
+     * Raw (unnormalised) emotion scores for a text
+     */
+    score(text) {
+        const tokens = this.tokenize(text);
+        const scores = {};
+        let negatedUntil = -1;
+        let multiplier = 1;
+        let clauseBoost = 1;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            // Punctuation ends a negation and any pending intensifier
+            if (/^[.,;:!?]$/.test(token)) {
+                negatedUntil = -1;
+                multiplier = 1;
+                continue;
+            }
+            if (this.contrastWords.includes(token)) {
+                clauseBoost = this.contrastBoost;
+                negatedUntil = -1;
+                continue;
+            }
+            if (this.negations.includes(token)) {
+                negatedUntil = i + this.negationWindow;
+                continue;
+            }
+            if (this.intensifiers[token]) {
+                multiplier *= this.intensifiers[token];
+                continue;
+            }
+
+            // Prefer two-word phrases ("pumped up", "burnt out") over single words
+            const phrase = i + 1 < tokens.length ? `${token} ${tokens[i + 1]}` : null;
+            let weights = null;
+            if (phrase && this.lexicon[phrase]) {
+                weights = this.lexicon[phrase];
+                i++;
+            } else if (Object.prototype.hasOwnProperty.call(this.lexicon, token)) {
+                weights = this.lexicon[token];
+            }
+            if (!weights) continue;
+
+            const negated = i <= negatedUntil;
+            for (const [emotion, weight] of Object.entries(weights)) {
+                const target = negated ? this.negatedEmotions[emotion] : emotion;
+                const value = weight * multiplier * clauseBoost * (negated ? 0.5 : 1);
+                scores[target] = (scores[target] || 0) + value;
+            }
+            multiplier = 1;
+        }
+
+        return scores;
+    }
+
+    /**
+     * Classify text into a weighted emotion mix, e.g. { calm: 0.45, motivation: 0.35, happy: 0.2 }
+     * Returns null when no mood words are recognised.
+     */
+    classify(text) {
+        const scores = this.score(text);
+        const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
+        if (total <= 0) return null;
+
+        const kept = Object.entries(scores)
+            .map(([emotion, value]) => [emotion, value / total])
+            .filter(([, weight]) => weight >= this.minWeight)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.maxEmotions);
+
+        const keptTotal = kept.reduce((sum, [, weight]) => sum + weight, 0);
+        const mix = {};
+        for (const [emotion, weight] of kept) {
+            mix[emotion] = Math.round((weight / keptTotal) * 100) / 100;
+        }
+        return mix;
+    }
+
+    /**
+     * The strongest emotion in a mix
+     */
+    static dominant(mix) {
+        return Object.entries(mix).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+    }
+}
+
+// Export for use in other scripts
+window.MoodClassifier = MoodClassifier;
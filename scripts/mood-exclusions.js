@@ -0,0 +1,116 @@
+/**
+ * Mood Exclusion Rules
+ * "Anti-moods" per emotion: tracks that match a rule's keywords or audio features
+ * are left out of that emotion's results (no love songs in motivation, no party tracks in sad, ...)
+ */
+
+class MoodExclusions {
+    constructor() {
+        // Shared rules
+        // keywords: whole words in the title, artist or album
+        // features: [min, max] ranges that must all match (only when audio features are available)
+        const aggressive = {
+            id: 'aggressive',
+            label: 'aggressive tracks',
+            keywords: ['rage', 'angry', 'fight', 'war', 'kill', 'scream', 'metal', 'headbang'],
+            features: { energy: [0.85, 1], valence: [0, 0.45] }
+        };
+        const sleepy = {
+            id: 'sleepy',
+            label: 'sleepy low-energy tracks',
+            keywords: ['lullaby', 'sleep', 'sleeping', 'bedtime'],
+            features: { energy: [0, 0.3], tempo: [0, 90] }
+        };
+
+        // Emotion -> rules whose matches don't belong in it
+        this.rules = {
+            motivation: [
+                {
+                    id: 'romantic',
+                    label: 'love songs',
+                    keywords: [
+                        'love', 'romantic', 'kiss', 'heart', 'couple', 'wedding', 'marriage',
+                        'lover', 'darling', 'baby', 'sweet', 'beautiful', 'girl', 'boy',
+                        'அன்பு', 'காதல்', 'மனைவி', 'கணவன்', 'செல்லம்', 'கண்ணம்மா'
+                    ]
+                },
+                sleepy
+            ],
+            energetic: [sleepy],
+            sad: [
+                {
+                    id: 'party',
+                    label: 'upbeat party tracks',
+                    keywords: ['party', 'dance', 'club', 'celebration', 'celebrate', 'kuthu', 'dj', 'remix'],
+                    features: { valence: [0.7, 1], energy: [0.7, 1] }
+                }
+            ],
+            happy: [
+                {
+                    id: 'mournful',
+                    label: 'mournful tracks',
+                    keywords: ['funeral', 'tears', 'cry', 'crying', 'heartbreak', 'heartbroken', 'goodbye'],
+                    features: { valence: [0, 0.2] }
+                }
+            ],
+            calm: [aggressive],
+            chill: [aggressive],
+            angry: [sleepy]
+        };
+
+        // Compiled keyword patterns per rule (see keywordPattern)
+        this.patterns = new Map();
+    }
+
+    /**
+     * Match any of a rule's keywords as whole words (letters, marks and digits don't count as boundaries)
+     */
+    keywordPattern(rule) {
+        if (!this.patterns.has(rule)) {
+            const escaped = rule.keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            this.patterns.set(rule, new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])(${escaped.join('|')})(?=$|[^\\p{L}\\p{M}\\p{N}])`, 'iu'));
+        }
+        return this.patterns.get(rule);
+    }
+
+    /**
+     * Whether audio features fall inside every range of a rule
+     */
+    matchesFeatures(rule, features) {
+        if (!rule.features || !features) return false;
+        return Object.entries(rule.features).every(([feature, [min, max]]) => {
+            const value = features[feature];
+            return typeof value === 'number' && value >= min && value <= max;
+        });
+    }
+
+    /**
+     * The first rule of an emotion that excludes a track
+     * Returns: { rule, reason } or null
+     */
+    check(emotion, track, features = null) {
+        const text = `${track.name} ${track.artist} ${track.album || ''}`;
+
+        for (const rule of this.rules[emotion] || []) {
+            const keyword = rule.keywords && rule.keywords.length > 0 ? text.match(this.keywordPattern(rule)) : null;
+            if (keyword) {
+                return { rule, reason: `"${keyword[2]}" suggests ${rule.label}` };
+            }
+            if (this.matchesFeatures(rule, features)) {
+                return { rule, reason: `sounds like ${rule.label}` };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Remove tracks an emotion's rules exclude
+     * featuresById: optional Map of track ID -> audio features for the feature rules
+     */
+    filter(emotion, tracks, featuresById = new Map()) {
+        return tracks.filter(track => !this.check(emotion, track, featuresById.get(track.id)));
+    }
+}
+
+// Export for use in other scripts
+window.MoodExclusions = MoodExclusions;
@@ -0,0 +1,317 @@
+/**
+ * Music Provider Interface
+ * Base class for music backends (Spotify, local library, ...) used by the app
+ */
+
+class MusicProvider {
+    constructor() {
+        // Catalogue languages (see language-profiles.js)
+        this.languages = this.loadLanguages();
+
+        // Thumbs up/down per emotion, applied to search results (see taste-profile.js)
+        this.taste = new TasteProfile();
+
+        // Moods on offer, built-in and custom (see emotion-registry.js)
+        this.emotions = EmotionRegistry.current;
+
+        // Anti-mood rules, e.g. no love songs in motivation (see mood-exclusions.js)
+        this.moodRules = new MoodExclusions();
+
+        // How strongly the user's own top artists outweigh the curated seeds (0-1, see canPersonalize)
+        this.personalWeight = this.loadPersonalWeight();
+    }
+
+    /**
+     * Human-readable provider name
+     */
+    get label() {
+        return 'Music provider';
+    }
+
+    /**
+     * Whether the user has to sign in before searching
+     */
+    get requiresAuth() {
+        return true;
+    }
+
+    /**
+     * How tracks are played: 'embed' (provider player) or 'audio' (the page's <audio> element)
+     */
+    get playbackMode() {
+        return 'audio';
+    }
+
+    /**
+     * Whether playlists can be saved to the user's library on this provider
+     */
+    get canSavePlaylists() {
+        return false;
+    }
+
+    /**
+     * Whether playback can be sent to the user's other devices (phone, desktop app, ...)
+     */
+    get canControlDevices() {
+        return false;
+    }
+
+    /**
+     * Whether searches can be seeded with the user's own top artists
+     */
+    get canPersonalize() {
+        return false;
+    }
+
+    /**
+     * Create an in-page player with full playback control, if the account supports one
+     * Resolves to a connected player or null (the app then uses playbackMode as-is)
+     */
+    async createWebPlayer() {
+        return null;
+    }
+
+    /**
+     * Check if the provider is ready to search
+     */
+    isAuthenticated() {
+        return !this.requiresAuth;
+    }
+
+    /**
+     * Handle a sign-in redirect, if the provider uses one
+     * Returns: { success: boolean, error?: string }
+     */
+    async handleAuthCallback() {
+        return { success: false };
+    }
+
+    /**
+     * Start the sign-in flow
+     */
+    async authenticate() {}
+
+    /**
+     * Sign out and clear any stored credentials
+     */
+    logout() {}
+
+    /**
+     * Search for tracks matching an emotion key or a weighted mix (see searchByMood)
+     * Resolves to an array of { id, name, artist, album, albumArt, previewUrl, externalUrl, duration }
+     * Providers may call options.onPartial(tracks) with results found so far while searching,
+     * and should reject with an AbortError once options.signal is aborted.
+     */
+    async searchByEmotion(emotion, limit = 20, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement searchByEmotion`);
+    }
+
+    /**
+     * Save tracks as a new playlist in the user's library
+     * Resolves to { id, name, url }
+     */
+    async savePlaylist(name, tracks, description = '') {
+        throw new Error(`${this.label} does not support saving playlists`);
+    }
+
+    /**
+     * Search for a weighted mix of emotions, e.g. { calm: 0.6, motivation: 0.4 }
+     * Each emotion contributes tracks in proportion to its weight.
+     */
+    async searchByMood(mix, limit = 20, options = {}) {
+        const entries = Object.entries(mix).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total <= 0) return [];
+
+        const weights = entries.map(([, weight]) => weight / total);
+        // Partial results are blended too, so onPartial always sees the whole mix
+        const partials = entries.map(() => []);
+        const lists = await Promise.all(entries.map(([emotion], index) => {
+            const count = Math.max(1, Math.round(limit * weights[index]));
+            const onPartial = options.onPartial && ((tracks) => {
+                partials[index] = tracks;
+                options.onPartial(this.blendTracks(partials, weights, limit));
+            });
+            return this.searchByEmotion(emotion, count, { ...options, onPartial });
+        }));
+
+        return this.blendTracks(lists, weights, limit);
+    }
+
+    /**
+     * Build an ordered playlist that moves gradually from one emotion to another
+     */
+    async searchMoodJourney(fromEmotion, toEmotion, length = 20, options = {}) {
+        const [fromTracks, toTracks] = await Promise.all([
+            this.searchByEmotion(fromEmotion, length, options),
+            this.searchByEmotion(toEmotion, length, options)
+        ]);
+        return this.orderJourney(fromTracks, toTracks, length);
+    }
+
+    /**
+     * Merge two pools so the share of 'to' tracks grows with each step
+     */
+    orderJourney(fromTracks, toTracks, length) {
+        const journey = [];
+        const seenIds = new Set();
+        const pools = [[...fromTracks], [...toTracks]];
+        let carry = 0;
+
+        for (let step = 0; step < length; step++) {
+            // Accumulate progress; each whole unit is a turn for the 'to' pool
+            carry += length > 1 ? step / (length - 1) : 1;
+            const pool = carry >= 1 ? 1 : 0;
+            if (pool === 1) carry -= 1;
+
+            let track = null;
+            for (const index of [pool, 1 - pool]) {
+                while (pools[index].length > 0 && !track) {
+                    const candidate = pools[index].shift();
+                    if (!seenIds.has(candidate.id)) track = candidate;
+                }
+                if (track) break;
+            }
+            if (!track) break;
+
+            seenIds.add(track.id);
+            journey.push(track);
+        }
+
+        return journey;
+    }
+
+    /**
+     * Interleave track lists so each keeps its weighted share, skipping duplicates
+     */
+    blendTracks(lists, weights, limit) {
+        const blended = [];
+        const seenIds = new Set();
+        const positions = lists.map(() => 0);
+        const taken = lists.map(() => 0);
+
+        while (blended.length < limit) {
+            // Pick the non-exhausted list furthest below its share
+            let next = -1;
+            for (let i = 0; i < lists.length; i++) {
+                if (positions[i] >= lists[i].length) continue;
+                if (next === -1 || taken[i] / weights[i] < taken[next] / weights[next]) {
+                    next = i;
+                }
+            }
+            if (next === -1) break;
+
+            const track = lists[next][positions[next]++];
+            if (seenIds.has(track.id)) continue;
+            seenIds.add(track.id);
+            blended.push(track);
+            taken[next]++;
+        }
+
+        return blended;
+    }
+
+    /**
+     * Merge several track lists round-robin, up to limit tracks
+     */
+    interleaveTracks(lists, limit) {
+        const merged = [];
+        const longest = Math.max(0, ...lists.map(list => list.length));
+        for (let i = 0; i < longest && merged.length < limit; i++) {
+            for (const list of lists) {
+                if (i < list.length && merged.length < limit) {
+                    merged.push(list[i]);
+                }
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Get the selected language keys
+     */
+    getLanguages() {
+        return [...this.languages];
+    }
+
+    /**
+     * Set the languages used for search and filtering (persisted locally)
+     */
+    setLanguages(languages) {
+        const valid = languages.filter(language => LanguageProfiles[language]);
+        this.languages = valid.length > 0 ? valid : [...AppConfig.current.defaultLanguages];
+        localStorage.setItem('music_languages', JSON.stringify(this.languages));
+    }
+
+    /**
+     * Load the stored language selection, falling back to the defaults
+     */
+    loadLanguages() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('music_languages'));
+            if (Array.isArray(stored)) {
+                const valid = stored.filter(language => LanguageProfiles[language]);
+                if (valid.length > 0) return valid;
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid stored language selection:', error);
+        }
+        return [...AppConfig.current.defaultLanguages];
+    }
+
+    /**
+     * Set how strongly personal seeds outweigh the curated ones (0-1, persisted locally)
+     */
+    setPersonalWeight(weight) {
+        this.personalWeight = Math.min(1, Math.max(0, Number(weight) || 0));
+        localStorage.setItem('personal_seed_weight', String(this.personalWeight));
+    }
+
+    /**
+     * Load the stored personal seed weight (default: an even split)
+     */
+    loadPersonalWeight() {
+        const stored = parseFloat(localStorage.getItem('personal_seed_weight'));
+        return Number.isFinite(stored) ? Math.min(1, Math.max(0, stored)) : 0.5;
+    }
+
+    /**
+     * Register a provider class under a key
+     */
+    static register(key, ProviderClass) {
+        MusicProvider.registry[key] = ProviderClass;
+    }
+
+    /**
+     * Pick the provider key from ?provider=, the stored choice, or the default
+     */
+    static getPreferredKey() {
+        const requested = new URLSearchParams(window.location.search).get('provider');
+        if (requested && MusicProvider.registry[requested]) {
+            return requested;
+        }
+        const stored = localStorage.getItem('music_provider');
+        if (stored && MusicProvider.registry[stored]) {
+            return stored;
+        }
+        return 'spotify';
+    }
+
+    /**
+     * Create a provider instance and remember the choice
+     */
+    static create(key = MusicProvider.getPreferredKey()) {
+        const ProviderClass = MusicProvider.registry[key];
+        if (!ProviderClass) {
+            throw new Error(`Unknown music provider: ${key}`);
+        }
+        localStorage.setItem('music_provider', key);
+        return new ProviderClass();
+    }
+}
+
+// Provider classes by key, filled in by each provider script
+MusicProvider.registry = {};
+
+// Export for use in other scripts
+window.MusicProvider = MusicProvider;
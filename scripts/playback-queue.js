@@ -0,0 +1,237 @@
+/**
+ * Playback Queue
+ * Decides what plays next: user-queued tracks first, then the playlist in its
+ * (reorderable) order, with shuffle and repeat-one / repeat-all
+ */
+
+class PlaybackQueue {
+    constructor() {
+        this.order = [];    // Playlist tracks in play order (drag to reorder)
+        this.manual = [];   // "Play next" / "Add to queue" tracks, played before the order continues
+        this.history = [];  // Previously played tracks, for the previous button
+        this.current = null;
+        this.canWrap = true;
+
+        // Shuffle draws from a bag so no track repeats until every track has played
+        this.shuffleBag = [];
+
+        this.repeatModes = ['off', 'all', 'one'];
+        this.shuffle = localStorage.getItem('queue_shuffle') === 'true';
+        this.repeat = this.repeatModes.includes(localStorage.getItem('queue_repeat'))
+            ? localStorage.getItem('queue_repeat')
+            : 'off';
+    }
+
+    /**
+     * Start over with a new playlist
+     * canWrap: false keeps repeat-all from starting over (e.g. a mood journey ends at its destination)
+     */
+    load(tracks, { canWrap = true } = {}) {
+        this.order = [...tracks];
+        this.manual = [];
+        this.history = [];
+        this.current = null;
+        this.canWrap = canWrap;
+        this.refillShuffleBag();
+    }
+
+    /**
+     * Replace the playlist with a newer list for the same selection (e.g. streamed results),
+     * keeping queued tracks, play history and the current track
+     */
+    update(tracks, { canWrap = this.canWrap } = {}) {
+        const previousIds = new Set(this.order.map(track => track.id));
+        const playedIds = new Set(this.history.map(track => track.id));
+        const listed = new Map(tracks.map(track => [track.id, track]));
+
+        this.order = [...tracks];
+        this.canWrap = canWrap;
+        if (this.current && listed.has(this.current.id)) {
+            this.current = listed.get(this.current.id);
+        }
+
+        // Tracks that dropped out leave the bag; new ones join it at random places unless already played
+        this.shuffleBag = this.shuffleBag.filter(track => listed.has(track.id)).map(track => listed.get(track.id));
+        tracks
+            .filter(track => !previousIds.has(track.id) && !playedIds.has(track.id) && (!this.current || track.id !== this.current.id))
+            .forEach(track => this.shuffleBag.splice(Math.floor(Math.random() * (this.shuffleBag.length + 1)), 0, track));
+    }
+
+    /**
+     * Mark a track as playing (from a click, next or previous)
+     */
+    setCurrent(track, { fromHistory = false } = {}) {
+        if (this.current && this.current.id === track.id) return;
+
+        if (this.current && !fromHistory) {
+            this.history.push(this.current);
+        }
+        this.current = track;
+        this.manual = this.manual.filter(item => item.id !== track.id);
+        this.shuffleBag = this.shuffleBag.filter(item => item.id !== track.id);
+    }
+
+    /**
+     * Move to the next track and return it (null at the end of the queue)
+     * auto: the current track ended by itself (repeat-one replays it)
+     * previewOnly: skip tracks without a preview
+     */
+    next({ auto = false, previewOnly = false } = {}) {
+        const playable = (track) => !previewOnly || Boolean(track.previewUrl);
+
+        if (auto && this.repeat === 'one' && this.current && playable(this.current)) {
+            return this.current;
+        }
+
+        const queued = this.manual.find(playable);
+        const track = queued || (this.shuffle ? this.nextShuffled(playable) : this.nextInOrder(playable));
+        if (track) {
+            this.setCurrent(track);
+        }
+        return track || null;
+    }
+
+    /**
+     * Move back to the previously played track (or the one before in order)
+     */
+    previous({ previewOnly = false } = {}) {
+        const playable = (track) => !previewOnly || Boolean(track.previewUrl);
+
+        while (this.history.length > 0) {
+            const track = this.history.pop();
+            if (playable(track)) {
+                this.setCurrent(track, { fromHistory: true });
+                return track;
+            }
+        }
+
+        const track = this.stepInOrder(-1, playable);
+        if (track) {
+            this.setCurrent(track, { fromHistory: true });
+        }
+        return track;
+    }
+
+    /**
+     * Next track in playlist order
+     */
+    nextInOrder(playable) {
+        return this.stepInOrder(1, playable);
+    }
+
+    /**
+     * Walk the order from the current track; only repeat-all wraps around
+     */
+    stepInOrder(step, playable) {
+        const count = this.order.length;
+        const currentIndex = this.current ? this.order.findIndex(track => track.id === this.current.id) : -1;
+
+        for (let offset = 1; offset <= count; offset++) {
+            let index = currentIndex + step * offset;
+            if (index < 0 || index >= count) {
+                if (this.repeat !== 'all' || !this.canWrap) return null;
+                index = ((index % count) + count) % count;
+            }
+
+            const track = this.order[index];
+            if (playable(track) && (!this.current || track.id !== this.current.id)) {
+                return track;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Next track from the shuffle bag, refilling it for repeat-all
+     */
+    nextShuffled(playable) {
+        let track = this.shuffleBag.find(playable);
+        if (!track && this.repeat === 'all' && this.canWrap) {
+            this.refillShuffleBag();
+            track = this.shuffleBag.find(playable);
+        }
+        return track || null;
+    }
+
+    /**
+     * Put every track except the current one back in the bag, in random order
+     */
+    refillShuffleBag() {
+        const bag = this.order.filter(track => !this.current || track.id !== this.current.id);
+        for (let i = bag.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [bag[i], bag[j]] = [bag[j], bag[i]];
+        }
+        this.shuffleBag = bag;
+    }
+
+    /**
+     * Tracks that will play after the current one, in order (for remote devices)
+     */
+    upcoming() {
+        const rest = this.shuffle
+            ? this.shuffleBag
+            : this.order.slice(this.current ? this.order.findIndex(track => track.id === this.current.id) + 1 : 0);
+        const manualIds = new Set(this.manual.map(track => track.id));
+        return [...this.manual, ...rest.filter(track => !manualIds.has(track.id))];
+    }
+
+    /**
+     * Play a track right after the current one
+     */
+    playNext(track) {
+        this.manual = [track, ...this.manual.filter(item => item.id !== track.id)];
+    }
+
+    /**
+     * Queue a track after the other queued tracks
+     */
+    addToQueue(track) {
+        if (!this.manual.some(item => item.id === track.id)) {
+            this.manual.push(track);
+        }
+    }
+
+    /**
+     * Position of a track among the queued tracks (1-based, 0 if not queued)
+     */
+    queuePosition(trackId) {
+        return this.manual.findIndex(track => track.id === trackId) + 1;
+    }
+
+    /**
+     * Move a track into another track's position in the order (drag and drop)
+     */
+    move(trackId, targetId) {
+        const fromIndex = this.order.findIndex(track => track.id === trackId);
+        const toIndex = this.order.findIndex(track => track.id === targetId);
+        if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+
+        const [track] = this.order.splice(fromIndex, 1);
+        this.order.splice(toIndex, 0, track);
+    }
+
+    /**
+     * Turn shuffle on or off (persisted locally)
+     */
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        localStorage.setItem('queue_shuffle', String(enabled));
+        if (enabled) {
+            this.refillShuffleBag();
+        }
+    }
+
+    /**
+     * Cycle repeat: off -> all -> one (persisted locally)
+     */
+    cycleRepeat() {
+        const index = this.repeatModes.indexOf(this.repeat);
+        this.repeat = this.repeatModes[(index + 1) % this.repeatModes.length];
+        localStorage.setItem('queue_repeat', this.repeat);
+        return this.repeat;
+    }
+}
+
+// Export for use in other scripts
+window.PlaybackQueue = PlaybackQueue;
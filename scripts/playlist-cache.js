@@ -0,0 +1,153 @@
+/**
+ * Playlist Cache
+ * Persists formatted track results per mood in IndexedDB with a TTL and a size limit,
+ * so playlists survive reloads and can still be shown while offline
+ */
+
+class PlaylistCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'emotion-music';
+        this.storeName = 'playlists';
+
+        // Entries older than this are refetched (but still used as an offline fallback)
+        this.ttl = options.ttl || 6 * 60 * 60 * 1000;
+
+        // Least recently saved entries are dropped beyond this many playlists
+        this.maxEntries = options.maxEntries || 50;
+
+        this.dbPromise = null;
+
+        // Mirror of saved entries, used when IndexedDB is unavailable (private browsing, old browsers)
+        this.memory = new Map();
+    }
+
+    /**
+     * Open the database (once)
+     */
+    open() {
+        if (!window.indexedDB) return Promise.resolve(null);
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                    store.createIndex('savedAt', 'savedAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                console.warn('IndexedDB unavailable, caching playlists in memory:', error);
+                return null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store and resolve with its result
+     */
+    async run(mode, callback) {
+        const db = await this.open();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached playlist
+     * Returns: { tracks, savedAt, expired } or null
+     */
+    async get(key) {
+        let entry;
+        try {
+            entry = await this.run('readonly', store => store.get(key));
+        } catch (error) {
+            console.warn('Playlist cache read failed:', error);
+        }
+        if (entry === undefined) {
+            entry = this.memory.get(key);
+        }
+        if (!entry) return null;
+
+        return {
+            tracks: entry.tracks,
+            savedAt: entry.savedAt,
+            expired: Date.now() - entry.savedAt > this.ttl
+        };
+    }
+
+    /**
+     * Save a playlist and trim the cache to its size limit
+     */
+    async set(key, tracks) {
+        const entry = { key, tracks, savedAt: Date.now() };
+        this.memory.delete(key);
+        this.memory.set(key, entry);
+
+        try {
+            await this.run('readwrite', store => store.put(entry));
+            await this.prune();
+        } catch (error) {
+            console.warn('Playlist cache write failed:', error);
+        }
+        this.pruneMemory();
+    }
+
+    /**
+     * Remove one cached playlist
+     */
+    async delete(key) {
+        this.memory.delete(key);
+        try {
+            await this.run('readwrite', store => store.delete(key));
+        } catch (error) {
+            console.warn('Playlist cache delete failed:', error);
+        }
+    }
+
+    /**
+     * Remove every cached playlist
+     */
+    async clear() {
+        this.memory.clear();
+        try {
+            await this.run('readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('Playlist cache clear failed:', error);
+        }
+    }
+
+    /**
+     * Drop the oldest stored entries beyond maxEntries
+     */
+    async prune() {
+        const keys = await this.run('readonly', store => store.index('savedAt').getAllKeys());
+        if (!keys || keys.length <= this.maxEntries) return;
+
+        // Index keys come back oldest first
+        const stale = keys.slice(0, keys.length - this.maxEntries);
+        await this.run('readwrite', store => {
+            stale.forEach(key => store.delete(key));
+            return null;
+        });
+    }
+
+    /**
+     * Apply the same limit to the in-memory fallback
+     */
+    pruneMemory() {
+        while (this.memory.size > this.maxEntries) {
+            // Maps iterate in insertion order, so the first key is the oldest
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+}
+
+// Export for use in other scripts
+window.PlaylistCache = PlaylistCache;
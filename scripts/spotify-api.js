@@ -4,30 +4,15 @@
  * Note: Implicit Grant Flow was deprecated by Spotify on Nov 27, 2025
  */
 
-class SpotifyAPI {
+class SpotifyAPI extends MusicProvider {
     constructor() {
-        // Replace with your Spotify Client ID
-        // Get it from: https://developer.spotify.com/dashboard
-        // Note: Using Authorization Code Flow with PKCE (Implicit Grant was deprecated Nov 27, 2025)
-        this.clientId = '323e3dad1f684c829b2063e07ad5a0f3';
-        
-        // Redirect URI - must match EXACTLY what's in Spotify Dashboard
-        // For production: https://emotion-based-music-recommendation-theta.vercel.app/
-        // The trailing slash is important - it must match your Spotify Dashboard settings exactly
-        const currentOrigin = window.location.origin;
-        const currentPathname = window.location.pathname;
-        
-        // Determine redirect URI based on current location
-        if (currentOrigin.includes('vercel.app')) {
-            // Production: Use exact Vercel URL with trailing slash
-            this.redirectUri = 'https://emotion-based-music-recommendation-theta.vercel.app/';
-        } else if (currentOrigin.includes('localhost') || currentOrigin.includes('127.0.0.1')) {
-            // Local development: Use current origin with trailing slash
-            this.redirectUri = currentOrigin + '/';
-        } else {
-            // Fallback: Use current origin + pathname
-            this.redirectUri = currentOrigin + (currentPathname === '/' ? '/' : currentPathname + (currentPathname.endsWith('/') ? '' : '/'));
-        }
+        super();
+
+        // Client ID, redirect URI, scopes and market come from config.json (see app-config.js)
+        const config = AppConfig.current;
+        this.config = config;
+        this.clientId = config.clientId;
+        this.redirectUri = config.getRedirectUri();
         
         // Debug: Log redirect URI for troubleshooting
         console.log('Initialized Spotify API with redirect URI:', this.redirectUri);
@@ -37,7 +22,13 @@ class SpotifyAPI {
             console.warn('⚠️ Spotify OAuth requires HTTPS in production. The Web Crypto API is not available over HTTP.');
         }
         
-        this.scope = 'user-read-private user-read-email';
+        this.scope = config.scopes.join(' ');
+
+        // One search market for every language, if configured (otherwise each language's own)
+        this.market = config.market;
+
+        // Scopes actually granted with the stored token (older logins may lack playlist access)
+        this.grantedScope = localStorage.getItem('spotify_granted_scope') || '';
         
         // PKCE code verifier and challenge
         this.codeVerifier = this.getStoredCodeVerifier() || this.generateCodeVerifier();
@@ -46,18 +37,52 @@ class SpotifyAPI {
         // Token storage
         this.accessToken = localStorage.getItem('spotify_access_token');
         this.tokenExpiry = localStorage.getItem('spotify_token_expiry');
+        this.refreshToken = localStorage.getItem('spotify_refresh_token');
+
+        // Token refresh state - concurrent callers share a single in-flight refresh
+        this.refreshPromise = null;
+        this.refreshTimer = null;
+        this.scheduleTokenRefresh();
         
-        // Emotion to search query mapping - Tamil songs only with specific keywords
-        this.emotionQueries = {
-            happy: 'tamil happy joyful celebration party dance',
-            sad: 'tamil sad emotional heartbreak tears lonely',
-            chill: 'tamil chill relaxed calm peaceful mellow',
-            energetic: 'tamil energetic workout pump up motivation',
-            romantic: 'tamil love romantic couple wedding',
-            calm: 'tamil meditation peaceful relaxation yoga',
-            angry: 'tamil angry frustration rage intense',
-            motivation: 'tamil motivation workout success achievement inspirational strength power'
-        };
+        // Keyword results are re-ranked by how the tracks actually sound
+        this.featureMatcher = new AudioFeatureMatcher();
+        // Fetch this many times the requested tracks as candidates for re-ranking
+        this.candidateFactor = 2;
+
+        // Seed artists searched per language and emotion (curated, personal and liked)
+        this.artistsPerSearch = 3;
+
+        // Tracks need at least this language confidence (0-1) to be kept
+        this.languageClassifier = new LanguageClassifier();
+        this.languageThreshold = 0.5;
+
+        // Artist genres and album labels fetched for language detection, by ID
+        this.artistGenres = new Map();
+        this.albumLabels = new Map();
+
+        // The user's top artists, fetched once per login (see getTopArtists)
+        this.topArtistsPromise = null;
+
+        // Request pacing: at most this many requests in flight at once (see runLimited)
+        this.maxConcurrentRequests = 4;
+        this.activeRequests = 0;
+        this.requestQueue = [];
+
+        // 429 and server errors are retried with exponential backoff (milliseconds, doubled per attempt)
+        this.maxRequestRetries = 3;
+        this.retryBaseDelay = 500;
+        // A longer Retry-After than this (seconds) is reported instead of waited out
+        this.maxRetryAfter = 30;
+        // While rate limited, every request waits until this time
+        this.rateLimitedUntil = 0;
+    }
+
+    get label() {
+        return 'Spotify';
+    }
+
+    get playbackMode() {
+        return 'embed';
     }
 
     /**
@@ -66,12 +91,129 @@ class SpotifyAPI {
     isAuthenticated() {
         if (!this.accessToken) return false;
         if (this.tokenExpiry && Date.now() > parseInt(this.tokenExpiry)) {
+            // An expired access token is still usable if it can be refreshed
+            if (this.refreshToken) return true;
             this.logout();
             return false;
         }
         return true;
     }
 
+    /**
+     * Notify listeners (e.g. the app UI) that the authentication state changed
+     */
+    emitAuthChange(isAuthenticated) {
+        window.dispatchEvent(new CustomEvent('spotify-auth-change', {
+            detail: { authenticated: isAuthenticated }
+        }));
+    }
+
+    /**
+     * Store tokens from a token endpoint response
+     */
+    storeTokens(data) {
+        this.accessToken = data.access_token;
+        // Store token with expiry time (subtract 60 seconds for safety margin)
+        this.tokenExpiry = Date.now() + (data.expires_in - 60) * 1000;
+        localStorage.setItem('spotify_access_token', data.access_token);
+        localStorage.setItem('spotify_token_expiry', this.tokenExpiry.toString());
+
+        // Refresh responses repeat the granted scopes
+        if (data.scope !== undefined) {
+            this.grantedScope = data.scope;
+            localStorage.setItem('spotify_granted_scope', data.scope);
+        }
+
+        // Spotify may rotate the refresh token; keep the previous one otherwise
+        if (data.refresh_token) {
+            this.refreshToken = data.refresh_token;
+            localStorage.setItem('spotify_refresh_token', data.refresh_token);
+        }
+
+        this.scheduleTokenRefresh();
+    }
+
+    /**
+     * Schedule a refresh shortly before the access token expires
+     */
+    scheduleTokenRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (!this.refreshToken || !this.tokenExpiry) return;
+
+        const delay = Math.max(parseInt(this.tokenExpiry) - Date.now(), 0);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refreshAccessToken();
+        }, delay);
+    }
+
+    /**
+     * Refresh the access token using the stored refresh token.
+     * Concurrent calls share the same request. Resolves to true on success.
+     */
+    refreshAccessToken() {
+        if (!this.refreshToken) {
+            return Promise.resolve(false);
+        }
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Perform the refresh_token grant against the token endpoint
+     */
+    async requestTokenRefresh() {
+        try {
+            const response = await fetch('https://accounts.spotify.com/api/token', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams({
+                    client_id: this.clientId,
+                    grant_type: 'refresh_token',
+                    refresh_token: this.refreshToken
+                })
+            });
+
+            if (!response.ok) {
+                // 400/401 means the refresh token was revoked or is invalid - a new login is required
+                if (response.status === 400 || response.status === 401) {
+                    console.warn('Refresh token rejected, logging out');
+                    this.logout();
+                } else {
+                    console.error('Token refresh failed:', `HTTP ${response.status}: ${response.statusText}`);
+                }
+                return false;
+            }
+
+            const data = await response.json();
+            this.storeTokens(data);
+            this.emitAuthChange(true);
+            return true;
+        } catch (error) {
+            // Network problems keep the stored tokens so a later request can retry
+            console.error('Token refresh exception:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Ensure the access token is still valid before using it
+     */
+    async ensureFreshToken() {
+        if (this.tokenExpiry && Date.now() > parseInt(this.tokenExpiry) && this.refreshToken) {
+            await this.refreshAccessToken();
+        }
+    }
+
     /**
      * Generate PKCE code verifier
      */
@@ -128,8 +270,7 @@ class SpotifyAPI {
      */
     async getAuthorizationUrl() {
         // Debug: Log the redirect URI being used
-        console.log('Spotify OAuth Redirect URI:', this.redirectUri);
-        console.log('Expected in Dashboard:', 'https://emotion-based-music-recommendation-theta.vercel.app/');
+        console.log('Spotify OAuth Redirect URI (must be listed in the Spotify Dashboard):', this.redirectUri);
         
         // Generate code challenge from verifier
         const codeChallenge = await this.generateCodeChallenge(this.codeVerifier);
@@ -258,16 +399,8 @@ class SpotifyAPI {
 
             try {
                 const data = await response.json();
-                this.accessToken = data.access_token;
-                // Store token with expiry time (subtract 60 seconds for safety margin)
-                this.tokenExpiry = Date.now() + (data.expires_in - 60) * 1000;
-                localStorage.setItem('spotify_access_token', data.access_token);
-                localStorage.setItem('spotify_token_expiry', this.tokenExpiry.toString());
-                
-                // Store refresh token if provided (for future use)
-                if (data.refresh_token) {
-                    localStorage.setItem('spotify_refresh_token', data.refresh_token);
-                }
+                this.storeTokens(data);
+                this.emitAuthChange(true);
 
                 return { success: true };
             } catch (jsonError) {
@@ -309,6 +442,9 @@ class SpotifyAPI {
      * Initiate authentication flow
      */
     async authenticate() {
+        if (!this.config.canSignIn) {
+            throw new Error('Spotify sign-in is not configured - fix the configuration problems shown above and reload.');
+        }
         const authUrl = await this.getAuthorizationUrl();
         window.location.href = authUrl;
     }
@@ -317,22 +453,45 @@ class SpotifyAPI {
      * Logout and clear tokens
      */
     logout() {
+        const wasAuthenticated = Boolean(this.accessToken);
+
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
         this.accessToken = null;
         this.tokenExpiry = null;
+        this.refreshToken = null;
         localStorage.removeItem('spotify_access_token');
         localStorage.removeItem('spotify_token_expiry');
         localStorage.removeItem('spotify_refresh_token');
+        localStorage.removeItem('spotify_granted_scope');
+        this.grantedScope = '';
+        this.topArtistsPromise = null;
         sessionStorage.removeItem('spotify_code_verifier');
+
+        if (wasAuthenticated) {
+            this.emitAuthChange(false);
+        }
     }
 
     /**
      * Make authenticated API request
+     * A 401 response triggers one token refresh and a single retry.
+     * 429 responses (and server errors on GET) are retried after Retry-After or an exponential backoff.
+     * options.signal cancels the request (it then rejects with an AbortError, even mid-retry).
      */
-    async apiRequest(endpoint, options = {}) {
+    async apiRequest(endpoint, options = {}, isRetry = false, attempt = 0) {
         if (!this.isAuthenticated()) {
             throw new Error('Not authenticated. Please connect to Spotify.');
         }
 
+        await this.ensureFreshToken();
+        if (!this.accessToken) {
+            throw new Error('Session expired. Please reconnect to Spotify.');
+        }
+
+        const { signal, ...fetchOptions } = options;
         const url = `https://api.spotify.com/v1${endpoint}`;
         const headers = {
             'Authorization': `Bearer ${this.accessToken}`,
@@ -341,24 +500,62 @@ class SpotifyAPI {
         };
 
         try {
-            // Create AbortController for timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
-
-            const response = await fetch(url, {
-                ...options,
-                headers,
-                signal: controller.signal
-            });
+            await this.waitForRateLimit(signal);
+
+            const response = await this.runLimited(async () => {
+                // Cancelled while waiting for a free slot
+                signal?.throwIfAborted();
 
-            clearTimeout(timeoutId);
+                // Create AbortController for timeout, also aborted when the caller cancels
+                const controller = new AbortController();
+                const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+                const cancel = () => controller.abort();
+                signal?.addEventListener('abort', cancel);
+
+                try {
+                    return await fetch(url, {
+                        ...fetchOptions,
+                        headers,
+                        signal: controller.signal
+                    });
+                } finally {
+                    clearTimeout(timeoutId);
+                    signal?.removeEventListener('abort', cancel);
+                }
+            });
 
             if (response.status === 401) {
-                // Token expired
+                // Token expired - refresh once and retry the request
+                if (!isRetry && this.refreshToken && await this.refreshAccessToken()) {
+                    return this.apiRequest(endpoint, options, true, attempt);
+                }
                 this.logout();
                 throw new Error('Session expired. Please reconnect to Spotify.');
             }
 
+            if (response.status === 429) {
+                const retryAfter = parseFloat(response.headers.get('Retry-After'));
+                if (attempt >= this.maxRequestRetries || retryAfter > this.maxRetryAfter) {
+                    const wait = retryAfter > 0 ? ` in ${Math.ceil(retryAfter)} seconds` : ' in a moment';
+                    throw new Error(`Spotify rate limit reached. Please try again${wait}.`);
+                }
+
+                // Hold back every request, not just this one, until the limit resets
+                const delay = this.getRetryDelay(attempt, retryAfter);
+                this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + delay);
+                console.warn(`Rate limited by Spotify, retrying in ${Math.round(delay)} ms`);
+                return this.apiRequest(endpoint, options, isRetry, attempt + 1);
+            }
+
+            // Temporary server problems - only reads are retried, so nothing is created twice
+            const isRead = !options.method || options.method.toUpperCase() === 'GET';
+            if (response.status >= 500 && isRead && attempt < this.maxRequestRetries) {
+                const delay = this.getRetryDelay(attempt);
+                console.warn(`Spotify server error ${response.status}, retrying in ${Math.round(delay)} ms`);
+                await this.wait(delay, signal);
+                return this.apiRequest(endpoint, options, isRetry, attempt + 1);
+            }
+
             if (!response.ok) {
                 let errorMessage = `API Error: ${response.status}`;
                 try {
@@ -378,6 +575,11 @@ class SpotifyAPI {
                 throw new Error(errorMessage);
             }
 
+            // Player commands answer with no content
+            if (response.status === 204) {
+                return null;
+            }
+
             // Check if response is actually JSON before parsing
             const contentType = response.headers.get('content-type');
             if (contentType && contentType.includes('application/json')) {
@@ -398,6 +600,11 @@ class SpotifyAPI {
                 throw new Error(`Expected JSON response but got ${contentType || 'unknown content type'}: ${textContent.substring(0, 100)}...`);
             }
         } catch (error) {
+            // Cancelled by the caller - not a failure worth reporting
+            if (signal?.aborted) {
+                throw error;
+            }
+
             console.error('Spotify API Error:', error);
             
             // Handle timeout errors specifically
@@ -410,103 +617,134 @@ class SpotifyAPI {
     }
 
     /**
-     * Search for tracks based on emotion - Tamil songs only
+     * Run a request once fewer than maxConcurrentRequests are in flight
      */
-    async searchByEmotion(emotion, limit = 20) {
-        const baseQuery = this.emotionQueries[emotion] || `tamil ${emotion}`;
-
-        // Emotion-specific Tamil artist searches
-        const emotionArtists = {
-            happy: ['anirudh ravichander', 'gv prakash', 'sundar c', 'dhanush'],
-            sad: ['ar rahman', 'ilayaraja', 'yuvan shankar raja', 'sundar c'],
-            chill: ['anirudh ravichander', 'gv prakash', 'yuvan shankar raja'],
-            energetic: ['anirudh ravichander', 'gv prakash', 'dhanush', 'sundar c'],
-            romantic: ['ar rahman', 'ilayaraja', 'yuvan shankar raja', 'sundar c'],
-            calm: ['ar rahman', 'ilayaraja', 'yuvan shankar raja'],
-            angry: ['anirudh ravichander', 'gv prakash', 'dhanush'],
-            motivation: ['anirudh ravichander', 'd imman', 'gv prakash', 'hip hop tamizha']
-        };
+    async runLimited(task) {
+        if (this.activeRequests < this.maxConcurrentRequests) {
+            this.activeRequests++;
+        } else {
+            // A finishing request hands its slot straight to the next one waiting
+            await new Promise(resolve => this.requestQueue.push(resolve));
+        }
 
         try {
-            const allTracks = [];
-            const seenIds = new Set();
-
-            // Search with emotion-specific query
-            const emotionEndpoint = `/search?q=${encodeURIComponent(baseQuery)}&type=track&limit=${Math.ceil(limit * 0.6)}&market=IN`;
-            const emotionData = await this.apiRequest(emotionEndpoint);
-            const emotionTracks = this.formatTrackResults(emotionData.tracks.items);
-
-            // Filter for Tamil songs only
-            const tamilEmotionTracks = emotionTracks.filter(track => this.isTamilSong(track));
-            for (const track of tamilEmotionTracks) {
-                if (!seenIds.has(track.id) && allTracks.length < limit) {
-                    // Additional filtering for motivation to exclude romantic songs
-                    if (emotion === 'motivation' && this.isRomanticSong(track)) {
-                        continue; // Skip romantic songs for motivation
-                    }
-                    seenIds.add(track.id);
-                    allTracks.push(track);
-                }
+            return await task();
+        } finally {
+            const next = this.requestQueue.shift();
+            if (next) {
+                next();
+            } else {
+                this.activeRequests--;
             }
+        }
+    }
 
-            // Search emotion-specific Tamil artists
-            const artists = emotionArtists[emotion] || ['anirudh ravichander', 'ar rahman', 'ilayaraja'];
-            for (const artist of artists.slice(0, 3)) { // Limit to 3 artists per emotion
-                if (allTracks.length >= limit) break;
+    /**
+     * Wait out a rate limit reported by an earlier response (rejects if signal aborts meanwhile)
+     */
+    async waitForRateLimit(signal) {
+        const remaining = this.rateLimitedUntil - Date.now();
+        if (remaining > 0) {
+            await this.wait(remaining, signal);
+        }
+    }
 
-                try {
-                    // Special handling for motivation to avoid romantic songs
-                    const artistQuery = emotion === 'motivation' 
-                        ? `${artist} tamil motivation workout success achievement` 
-                        : `${artist} tamil`;
-                    const artistEndpoint = `/search?q=${encodeURIComponent(artistQuery)}&type=track&limit=8&market=IN`;
-                    const artistData = await this.apiRequest(artistEndpoint);
-                    const artistTracks = this.formatTrackResults(artistData.tracks.items);
-
-                    // Filter for Tamil songs and add to results
-                    for (const track of artistTracks) {
-                        if (this.isTamilSong(track) && !seenIds.has(track.id) && allTracks.length < limit) {
-                            // Additional filtering for motivation to exclude romantic songs
-                            if (emotion === 'motivation' && this.isRomanticSong(track)) {
-                                continue; // Skip romantic songs for motivation
-                            }
-                            seenIds.add(track.id);
-                            allTracks.push(track);
-                        }
-                    }
-                } catch (error) {
-                    console.warn(`Artist search failed for ${artist}:`, error);
-                    // Continue with other artists instead of failing completely
-                }
+    /**
+     * Delay before retry number `attempt` (from 0): Retry-After seconds if given,
+     * otherwise exponential backoff; both get random jitter so parallel requests don't retry in lockstep
+     */
+    getRetryDelay(attempt, retryAfter = NaN) {
+        const jitter = Math.random() * this.retryBaseDelay;
+        if (retryAfter >= 0) {
+            return retryAfter * 1000 + jitter;
+        }
+        return this.retryBaseDelay * 2 ** attempt + jitter;
+    }
+
+    /**
+     * Resolve after a number of milliseconds, or reject with the abort reason as soon as signal aborts
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
             }
 
-            // If we still don't have enough tracks, do a broader Tamil search
-            if (allTracks.length < limit) {
-                const remainingLimit = limit - allTracks.length;
-                const broadQuery = `tamil ${emotion} songs`;
-                const broadEndpoint = `/search?q=${encodeURIComponent(broadQuery)}&type=track&limit=${remainingLimit * 2}&market=IN`;
+            const abort = () => {
+                clearTimeout(timeoutId);
+                reject(signal.reason);
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', abort, { once: true });
+        });
+    }
+
+    /**
+     * Search for tracks based on emotion (or a weighted emotion mix) in the selected languages
+     * Languages and their queries run in parallel; options.onPartial(tracks) is called with the
+     * tracks found so far as each query finishes, before the final audio-feature ranking.
+     * Aborting options.signal cancels every query and rejects with an AbortError.
+     */
+    async searchByEmotion(emotion, limit = 20, options = {}) {
+        // Weighted mixes are fetched per emotion and interleaved
+        if (typeof emotion === 'object') {
+            return this.searchByMood(emotion, limit, options);
+        }
+
+        const { signal } = options;
+        const profiles = this.languages.map(language => LanguageProfiles[language]);
+        // Custom moods borrow the sound targets and exclusion rules of the mood they build on
+        const baseEmotion = this.emotions.getBaseEmotion(emotion);
+        const candidateLimit = this.featureMatcher.hasTargets(baseEmotion) ? limit * this.candidateFactor : limit;
+        const perLanguageLimit = Math.ceil(candidateLimit / profiles.length);
+
+        try {
+            const results = profiles.map(() => []);
+            const personalArtists = await this.getPersonalArtists(emotion);
+
+            const reportPartial = () => {
+                if (!options.onPartial || signal?.aborted) return;
+                const found = this.moodRules.filter(baseEmotion, this.mergeTrackLists(results, candidateLimit));
+                const partial = this.taste.rerank(emotion, found).slice(0, limit);
+                if (partial.length > 0) options.onPartial(partial);
+            };
 
+            await Promise.all(profiles.map(async (profile, index) => {
                 try {
-                    const broadData = await this.apiRequest(broadEndpoint);
-                    const broadTracks = this.formatTrackResults(broadData.tracks.items);
-
-                    for (const track of broadTracks) {
-                        if (this.isTamilSong(track) && !seenIds.has(track.id) && allTracks.length < limit) {
-                            // Additional filtering for motivation to exclude romantic songs
-                            if (emotion === 'motivation' && this.isRomanticSong(track)) {
-                                continue; // Skip romantic songs for motivation
-                            }
-                            seenIds.add(track.id);
-                            allTracks.push(track);
+                    results[index] = await this.searchLanguageByEmotion(emotion, profile, perLanguageLimit, personalArtists, {
+                        signal,
+                        onProgress: (tracks) => {
+                            results[index] = tracks;
+                            reportPartial();
                         }
-                    }
+                    });
                 } catch (error) {
-                    console.warn('Broad Tamil search failed:', error);
+                    console.warn(`${profile.label} search failed:`, error);
                 }
+            }));
+            signal?.throwIfAborted();
+
+            if (results.every(tracks => tracks.length === 0)) {
+                return [];
             }
 
-            return allTracks;
+            // Leave out anti-mood tracks, rank the rest by sound, then apply the user's likes and dislikes
+            const candidates = this.mergeTrackLists(results, candidateLimit);
+            const featuresById = await this.getCandidateFeatures(candidates, emotion, signal);
+            signal?.throwIfAborted();
+            const allowed = this.moodRules.filter(baseEmotion, candidates, featuresById);
+            const ranked = featuresById.size > 0 ? this.featureMatcher.rank(allowed, featuresById, baseEmotion) : allowed;
+            return this.taste.rerank(emotion, ranked).slice(0, limit);
         } catch (error) {
+            // Cancelled searches reject so callers can tell them apart from empty results
+            if (signal?.aborted) {
+                throw error;
+            }
+
             console.error('Search error:', error);
             // Return empty array instead of throwing to prevent app crashes
             console.warn('Returning empty playlist due to API error');
@@ -515,58 +753,336 @@ class SpotifyAPI {
     }
 
     /**
-     * Check if a track is likely Tamil
+     * Interleave per-language results, keeping the first copy of tracks found in several languages
      */
-    isTamilSong(track) {
-        const text = (track.name + ' ' + track.artist + ' ' + track.album).toLowerCase();
-
-        // Strong Tamil indicators
-        const strongIndicators = [
-            'tamil', 'தமிழ்', 'anirudh', 'அனிருத்', 'ar rahman', 'அர. ரஹ்மான்',
-            'ilayaraja', 'இளையராஜா', 'yuvan', 'gv prakash', 'dhanush', 'sundar c',
-            'sundar.c', 'karthik', 'shreya ghoshal', 'k.s.chitra', 'எஸ்.பி.பி',
-            'spb', 't.m.s', 'tms', 's.janaki', 'minmini'
-        ];
-
-        // Check for strong indicators
-        if (strongIndicators.some(indicator => text.includes(indicator))) {
-            return true;
+    mergeTrackLists(lists, limit) {
+        const seenIds = new Set();
+        return this.interleaveTracks(lists, Infinity)
+            .filter(track => !seenIds.has(track.id) && seenIds.add(track.id))
+            .slice(0, limit);
+    }
+
+    /**
+     * Search one language's catalogue for an emotion
+     * The emotion query and seed-artist queries run in parallel (request count is capped in apiRequest);
+     * a broader query follows only if they come up short.
+     * personalArtists (from getPersonalArtists) are blended into the curated seed artists.
+     * options: { onProgress(tracks) - reports the tracks kept so far, signal - cancels the queries }
+     */
+    async searchLanguageByEmotion(emotion, profile, limit, personalArtists = [], options = {}) {
+        const { onProgress = () => {}, signal } = options;
+        const mood = this.emotions.get(emotion);
+        const keywords = this.emotions.getQuery(emotion);
+        const baseQuery = `${profile.keyword} ${keywords}`;
+
+        // Emotion-specific query first, then emotion-specific artists for this language (liked artists first, then personal and curated)
+        // Custom moods use their own seed artists, or borrow those of the mood they build on
+        const queries = [{ query: baseQuery, limit: Math.ceil(limit * 0.6), label: `${profile.label} emotion` }];
+        const ownArtists = mood && mood.artists.length > 0 ? mood.artists : null;
+        const borrowed = !ownArtists && mood && !mood.builtIn;
+        const curated = ownArtists || profile.artists[this.emotions.getBaseEmotion(emotion)] || profile.defaultArtists;
+        const curatedKeys = new Set(curated.map(artist => this.taste.artistKey(artist)));
+        const seeds = this.blendSeedArtists(curated, personalArtists);
+        for (const artist of this.taste.searchArtists(emotion, seeds).slice(0, this.artistsPerSearch)) {
+            // Curated artists are picked per emotion; other (and borrowed) artists need the mood in the query
+            const moodWord = curatedKeys.has(this.taste.artistKey(artist)) && !borrowed ? '' : ` ${keywords.split(' ')[0]}`;
+            // Tracks that clash with the mood (e.g. love songs in motivation) are left out later by moodRules
+            queries.push({ query: `${artist} ${profile.keyword}${moodWord}`, limit: 8, label: `Artist search for ${artist}` });
         }
 
-        // Check for Tamil script characters
-        if (/[\u0B80-\u0BFF]/.test(track.name) || /[\u0B80-\u0BFF]/.test(track.artist)) {
-            return true;
+        // Tracks per query, combined in query order so results don't depend on which answered first
+        const found = queries.map(() => []);
+        const collect = () => {
+            const seenIds = new Set();
+            return found.flat()
+                .filter(track => !seenIds.has(track.id) && seenIds.add(track.id))
+                .slice(0, limit);
+        };
+
+        const runQuery = async (query, index) => {
+            try {
+                const endpoint = `/search?q=${encodeURIComponent(query.query)}&type=track&limit=${query.limit}&market=${this.market || profile.market}`;
+                const data = await this.apiRequest(endpoint, { signal });
+                found[index] = await this.filterByLanguage(this.formatTrackResults(data.tracks.items), profile, signal);
+                onProgress(collect());
+            } catch (error) {
+                // Continue with the other queries instead of failing completely
+                if (!signal?.aborted) {
+                    console.warn(`${query.label} failed:`, error);
+                }
+            }
+        };
+
+        await Promise.all(queries.map(runQuery));
+
+        // If we still don't have enough tracks, do a broader search
+        const missing = limit - collect().length;
+        if (missing > 0 && !signal?.aborted) {
+            const moodName = this.emotions.getLabel(emotion).toLowerCase();
+            queries.push({ query: `${profile.keyword} ${moodName} songs`, limit: missing * 2, label: `Broad ${profile.label} search` });
+            found.push([]);
+            await runQuery(queries[queries.length - 1], queries.length - 1);
         }
 
-        // Medium indicators (album names, etc.)
-        const mediumIndicators = [
-            'kollywood', 'tamil movie', 'tamil film', 'south indian',
-            'indian tamil', 'tamil hit', 'tamil song'
-        ];
+        return collect();
+    }
+
+    /**
+     * Keep tracks that are confidently in a profile's language
+     * Only tracks the title and artist can't settle need genre and label lookups.
+     */
+    async filterByLanguage(tracks, profile, signal) {
+        await this.loadLanguageMetadata(tracks.filter(track => !this.matchesLanguage(track, profile)), signal);
+        return tracks.filter(track => this.matchesLanguage(track, profile));
+    }
 
-        if (mediumIndicators.some(indicator => text.includes(indicator))) {
-            return true;
+    /**
+     * Put personal artists ahead of the curated ones, taking a share of the search slots set by personalWeight
+     * Top artists come in display case and curated seeds in lowercase; each artist is kept once.
+     */
+    blendSeedArtists(curated, personalArtists) {
+        const seen = new Set(curated.map(artist => this.taste.artistKey(artist)));
+        const personal = personalArtists.filter(artist => {
+            const key = this.taste.artistKey(artist);
+            return !seen.has(key) && seen.add(key);
+        });
+        const personalSlots = Math.min(personal.length, Math.round(this.artistsPerSearch * this.personalWeight));
+        return [...personal.slice(0, personalSlots), ...curated];
+    }
+
+    /**
+     * The user's top artists, best fit for an emotion first
+     * Artists are scored by the audio features of their top tracks; without features they keep Spotify's ranking.
+     */
+    async getPersonalArtists(emotion) {
+        if (!this.canPersonalize || this.personalWeight <= 0) return [];
+
+        const { artists, featuresById } = await this.getTopArtists();
+        const baseEmotion = this.emotions.getBaseEmotion(emotion);
+        if (!this.featureMatcher.hasTargets(baseEmotion) || featuresById.size === 0) {
+            return artists.map(artist => artist.name);
         }
 
-        // For tracks that might be Tamil but don't have explicit indicators,
-        // check if they appear in Tamil artist searches
-        return false;
+        return artists
+            .map((artist, index) => {
+                const scores = artist.trackIds
+                    .map(id => this.featureMatcher.score(featuresById.get(id), baseEmotion))
+                    .filter(score => score !== null);
+                return { name: artist.name, index, score: scores.length > 0 ? Math.max(...scores) : null };
+            })
+            .sort((a, b) => {
+                if (a.score === null && b.score === null) return a.index - b.index;
+                if (a.score === null) return 1;
+                if (b.score === null) return -1;
+                return b.score - a.score || a.index - b.index;
+            })
+            .map(artist => artist.name);
+    }
+
+    /**
+     * Fetch the user's top artists and tracks once per login
+     * Resolves to { artists: [{ name, trackIds }], featuresById } (empty without the user-top-read scope)
+     */
+    getTopArtists() {
+        if (!this.topArtistsPromise) {
+            this.topArtistsPromise = this.fetchTopArtists().catch(error => {
+                console.warn('Top artists unavailable, using curated seeds only:', error);
+                return { artists: [], featuresById: new Map() };
+            });
+        }
+        return this.topArtistsPromise;
     }
 
     /**
-     * Check if a track appears to be romantic (to exclude from motivation)
+     * Combine top artists with the artists of top tracks, in rank order
      */
-    isRomanticSong(track) {
-        const text = (track.name + ' ' + track.artist + ' ' + track.album).toLowerCase();
+    async fetchTopArtists() {
+        if (!this.hasScope('user-top-read')) {
+            return { artists: [], featuresById: new Map() };
+        }
+
+        const [artistData, trackData] = await Promise.all([
+            this.apiRequest('/me/top/artists?limit=20&time_range=medium_term'),
+            this.apiRequest('/me/top/tracks?limit=50&time_range=medium_term')
+        ]);
+
+        const artists = new Map();
+        for (const artist of artistData.items || []) {
+            artists.set(artist.name, { name: artist.name, trackIds: [] });
+        }
+        for (const track of trackData.items || []) {
+            const name = track.artists[0].name;
+            if (!artists.has(name)) {
+                artists.set(name, { name, trackIds: [] });
+            }
+            artists.get(name).trackIds.push(track.id);
+        }
 
-        // Romantic keywords to exclude from motivation
-        const romanticIndicators = [
-            'love', 'romantic', 'kiss', 'heart', 'couple', 'wedding', 'marriage',
-            'lover', 'darling', 'baby', 'sweet', 'beautiful', 'girl', 'boy',
-            'அன்பு', 'காதல்', 'மனைவி', 'கணவன்', 'செல்லம்', 'கண்ணம்மா'
-        ];
+        let featuresById = new Map();
+        try {
+            featuresById = await this.getAudioFeatures((trackData.items || []).map(track => track.id));
+        } catch (error) {
+            console.warn('Audio features unavailable for top tracks:', error);
+        }
 
-        return romanticIndicators.some(indicator => text.includes(indicator));
+        return { artists: [...artists.values()], featuresById };
+    }
+
+    /**
+     * Audio features for ranking candidates (empty if the emotion has no targets or features are unavailable)
+     */
+    async getCandidateFeatures(tracks, emotion, signal) {
+        if (!this.featureMatcher.hasTargets(this.emotions.getBaseEmotion(emotion))) {
+            return new Map();
+        }
+
+        try {
+            return await this.getAudioFeatures(tracks.map(track => track.id), signal);
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+            console.warn('Audio features unavailable, keeping keyword ranking:', error);
+            return new Map();
+        }
+    }
+
+    /**
+     * Build a mood journey, choosing each step's track by audio features
+     * when available so the sound moves gradually between the two emotions
+     */
+    async searchMoodJourney(fromEmotion, toEmotion, length = 20, options = {}) {
+        const { signal } = options;
+        const [fromTracks, toTracks] = await Promise.all([
+            this.searchByEmotion(fromEmotion, length, { signal }),
+            this.searchByEmotion(toEmotion, length, { signal })
+        ]);
+
+        try {
+            const candidates = [...fromTracks, ...toTracks]
+                .filter((track, index, all) => all.findIndex(other => other.id === track.id) === index);
+            const featuresById = await this.getAudioFeatures(candidates.map(track => track.id), signal);
+            const fromBase = this.emotions.getBaseEmotion(fromEmotion);
+            const toBase = this.emotions.getBaseEmotion(toEmotion);
+            if (featuresById.size === 0 || !this.featureMatcher.interpolateTargets(fromBase, toBase, 0)) {
+                return this.orderJourney(fromTracks, toTracks, length);
+            }
+
+            const remaining = candidates.filter(track => featuresById.has(track.id));
+            const journey = [];
+            for (let step = 0; step < length && remaining.length > 0; step++) {
+                const progress = length > 1 ? step / (length - 1) : 1;
+                const targets = this.featureMatcher.interpolateTargets(fromBase, toBase, progress);
+
+                // Take the remaining track closest to this step's target
+                let bestIndex = 0;
+                let bestScore = -1;
+                remaining.forEach((track, index) => {
+                    const score = this.featureMatcher.scoreTargets(featuresById.get(track.id), targets);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestIndex = index;
+                    }
+                });
+                journey.push(remaining.splice(bestIndex, 1)[0]);
+            }
+            return journey;
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+            console.warn('Audio features unavailable, ordering journey by search results:', error);
+            return this.orderJourney(fromTracks, toTracks, length);
+        }
+    }
+
+    /**
+     * Get audio features for tracks (batches of 100), keyed by track ID
+     */
+    async getAudioFeatures(trackIds, signal) {
+        const featuresById = new Map();
+
+        for (let i = 0; i < trackIds.length; i += 100) {
+            const batch = trackIds.slice(i, i + 100);
+            const data = await this.apiRequest(`/audio-features?ids=${batch.join(',')}`, { signal });
+            for (const features of data.audio_features || []) {
+                // Spotify returns null for tracks without analysis
+                if (features) {
+                    featuresById.set(features.id, features);
+                }
+            }
+        }
+
+        return featuresById;
+    }
+
+    /**
+     * Score how likely a track is in a profile's language, with the reasons
+     * Returns: { score, reasons } (see LanguageClassifier)
+     */
+    classifyLanguage(track, profile) {
+        return this.languageClassifier.classify(track, profile, this.getLanguageMetadata(track));
+    }
+
+    /**
+     * Check if a track is confidently in a profile's language (profiles may set their own threshold)
+     */
+    matchesLanguage(track, profile) {
+        const threshold = profile.threshold ?? this.languageThreshold;
+        return this.classifyLanguage(track, profile).score >= threshold;
+    }
+
+    /**
+     * Genres of a track's artists and its album label, from what has been fetched so far
+     */
+    getLanguageMetadata(track) {
+        const genres = (track.artistIds || []).flatMap(id => this.artistGenres.get(id) || []);
+        const label = this.albumLabels.get(track.albumId);
+        return { genres, labels: label ? [label] : [] };
+    }
+
+    /**
+     * Fetch artist genres (50 per request) and album labels (20 per request) not yet known
+     * Failures only weaken detection, so they are logged and skipped.
+     */
+    async loadLanguageMetadata(tracks, signal) {
+        const artistIds = [...new Set(tracks.flatMap(track => track.artistIds || []))]
+            .filter(id => !this.artistGenres.has(id));
+        const albumIds = [...new Set(tracks.map(track => track.albumId).filter(Boolean))]
+            .filter(id => !this.albumLabels.has(id));
+
+        try {
+            for (let i = 0; i < artistIds.length; i += 50) {
+                const data = await this.apiRequest(`/artists?ids=${artistIds.slice(i, i + 50).join(',')}`, { signal });
+                for (const artist of data.artists || []) {
+                    if (artist) this.artistGenres.set(artist.id, artist.genres || []);
+                }
+            }
+            for (let i = 0; i < albumIds.length; i += 20) {
+                const data = await this.apiRequest(`/albums?ids=${albumIds.slice(i, i + 20).join(',')}`, { signal });
+                for (const album of data.albums || []) {
+                    if (album) this.albumLabels.set(album.id, album.label || '');
+                }
+            }
+        } catch (error) {
+            if (!signal?.aborted) {
+                console.warn('Artist or album details unavailable for language detection:', error);
+            }
+        }
+    }
+
+    /**
+     * Check if a track matches any of the selected languages
+     */
+    matchesSelectedLanguage(track) {
+        return this.languages.some(language => this.matchesLanguage(track, LanguageProfiles[language]));
+    }
+
+    /**
+     * Check if a track is likely Tamil
+     */
+    isTamilSong(track) {
+        return this.matchesLanguage(track, LanguageProfiles.tamil);
     }
 
     /**
@@ -577,7 +1093,10 @@ class SpotifyAPI {
             id: track.id,
             name: track.name,
             artist: track.artists[0].name,
+            artists: track.artists.map(artist => artist.name),
+            artistIds: track.artists.map(artist => artist.id),
             album: track.album.name,
+            albumId: track.album.id,
             albumArt: track.album.images[0]?.url || track.album.images[1]?.url || '',
             previewUrl: track.preview_url,
             externalUrl: track.external_urls.spotify,
@@ -585,6 +1104,140 @@ class SpotifyAPI {
         })).filter(track => track.albumArt); // Only include tracks with album art
     }
 
+    get canSavePlaylists() {
+        return true;
+    }
+
+    get canPersonalize() {
+        return this.config.isEnabled('personalSeeds');
+    }
+
+    get canControlDevices() {
+        return this.config.isEnabled('devices');
+    }
+
+    /**
+     * List the user's Spotify Connect devices
+     * Returns: [{ id, name, type, isActive, volume }] (restricted devices can't be controlled and are left out)
+     */
+    async getDevices() {
+        const data = await this.apiRequest('/me/player/devices');
+        return (data.devices || [])
+            .filter(device => device.id && !device.is_restricted)
+            .map(device => ({
+                id: device.id,
+                name: device.name,
+                type: device.type,
+                isActive: device.is_active,
+                volume: device.volume_percent
+            }));
+    }
+
+    /**
+     * Play tracks on a device, starting at offset
+     * The following tracks are queued on the device, so its own next/previous walk the list.
+     */
+    async playOnDevice(deviceId, trackIds, offset = 0) {
+        await this.apiRequest(`/me/player/play?device_id=${encodeURIComponent(deviceId)}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                uris: trackIds.map(id => `spotify:track:${id}`),
+                offset: { position: offset }
+            })
+        });
+    }
+
+    /**
+     * Send a player command (pause, play, next, previous) to a device
+     */
+    async controlDevice(deviceId, command) {
+        const commands = {
+            pause: ['PUT', '/me/player/pause'],
+            play: ['PUT', '/me/player/play'],
+            next: ['POST', '/me/player/next'],
+            previous: ['POST', '/me/player/previous']
+        };
+        const [method, endpoint] = commands[command];
+        await this.apiRequest(`${endpoint}?device_id=${encodeURIComponent(deviceId)}`, { method });
+    }
+
+    /**
+     * Set a device's volume (0-100)
+     */
+    async setDeviceVolume(deviceId, volume) {
+        const query = new URLSearchParams({ volume_percent: String(Math.round(volume)), device_id: deviceId });
+        await this.apiRequest(`/me/player/volume?${query}`, { method: 'PUT' });
+    }
+
+    /**
+     * Get the current playback state across devices
+     * Returns: { trackId, isPlaying, deviceId } or null when nothing is playing
+     */
+    async getPlaybackState() {
+        const data = await this.apiRequest('/me/player');
+        if (!data) return null;
+        return {
+            trackId: data.item ? data.item.id : null,
+            isPlaying: data.is_playing,
+            deviceId: data.device ? data.device.id : null
+        };
+    }
+
+    /**
+     * Connect a Web Playback SDK device for Premium accounts (free accounts keep the embed)
+     */
+    async createWebPlayer() {
+        if (!this.config.isEnabled('webPlayer') || !this.isAuthenticated() || !this.hasScope('streaming')) {
+            return null;
+        }
+
+        const profile = await this.getUserProfile();
+        if (profile.product !== 'premium') {
+            return null;
+        }
+
+        const player = new SpotifyWebPlayer(this);
+        await player.connect();
+        return player;
+    }
+
+    /**
+     * Check if the stored login granted a scope
+     * Logins from before scopes were recorded are assumed to have it; the API rejects them if not.
+     */
+    hasScope(scope) {
+        return !this.grantedScope || this.grantedScope.split(' ').includes(scope);
+    }
+
+    /**
+     * Create a private playlist in the user's library and add the tracks in batches of 100
+     */
+    async savePlaylist(name, tracks, description = '') {
+        if (!this.hasScope('playlist-modify-private')) {
+            throw new Error('Saving playlists needs permission to edit your Spotify playlists. Please reconnect to Spotify and try again.');
+        }
+
+        const user = await this.getUserProfile();
+        const playlist = await this.apiRequest(`/users/${encodeURIComponent(user.id)}/playlists`, {
+            method: 'POST',
+            body: JSON.stringify({ name, description, public: false })
+        });
+
+        const uris = tracks.map(track => `spotify:track:${track.id}`);
+        for (let i = 0; i < uris.length; i += 100) {
+            await this.apiRequest(`/playlists/${playlist.id}/tracks`, {
+                method: 'POST',
+                body: JSON.stringify({ uris: uris.slice(i, i + 100) })
+            });
+        }
+
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            url: playlist.external_urls?.spotify || null
+        };
+    }
+
     /**
      * Get user's profile (optional, for future use)
      */
@@ -598,6 +1251,8 @@ class SpotifyAPI {
     }
 }
 
+MusicProvider.register('spotify', SpotifyAPI);
+
 // Export for use in other scripts
 window.SpotifyAPI = SpotifyAPI;
 
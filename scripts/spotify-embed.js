@@ -0,0 +1,193 @@
+/**
+ * Spotify Embed Controller
+ * Drives the track embed through Spotify's iFrame API so the app can follow
+ * playback (playing, paused, finished) and load the next track in place
+ */
+
+class SpotifyEmbedController {
+    constructor(options = {}) {
+        this.apiUrl = options.apiUrl || 'https://open.spotify.com/embed/iframe-api/v1';
+        this.height = options.height || 352;
+        this.loadTimeout = options.loadTimeout || 10000;
+
+        // Spotify's controller and the element it renders into
+        this.controller = null;
+        this.element = null;
+        this.mountId = 0;
+
+        this.trackId = null;
+        this.hasStarted = false; // The current track has actually played (so a stop means it finished)
+        this.ended = false;
+
+        // Last reported state: { isPaused, position, duration }
+        this.state = null;
+
+        // Callbacks set by the app
+        this.onPlaybackUpdate = null;
+        this.onEnded = null;
+    }
+
+    /**
+     * Inject the iFrame API script and wait for it (once per page)
+     */
+    loadAPI() {
+        if (!SpotifyEmbedController.apiPromise) {
+            SpotifyEmbedController.apiPromise = new Promise((resolve, reject) => {
+                const timeoutId = setTimeout(() => reject(new Error('Spotify iFrame API did not load in time.')), this.loadTimeout);
+
+                // The API calls this global with itself once it has loaded
+                window.onSpotifyIframeApiReady = (IFrameAPI) => {
+                    clearTimeout(timeoutId);
+                    resolve(IFrameAPI);
+                };
+
+                const script = document.createElement('script');
+                script.src = this.apiUrl;
+                script.async = true;
+                script.onerror = () => {
+                    clearTimeout(timeoutId);
+                    reject(new Error('Failed to load the Spotify iFrame API.'));
+                };
+                document.head.appendChild(script);
+            }).catch(error => {
+                SpotifyEmbedController.apiPromise = null;
+                throw error;
+            });
+        }
+        return SpotifyEmbedController.apiPromise;
+    }
+
+    /**
+     * Whether the embed is still on the page (the app clears it for previews and other players)
+     */
+    isMounted() {
+        return Boolean(this.controller && this.element && this.element.isConnected);
+    }
+
+    /**
+     * Render a new embed for a track inside container
+     * Resolves to false if a later mount replaced this one while it was loading.
+     */
+    async mount(container, track, { autoplay = false } = {}) {
+        const mountId = ++this.mountId;
+        const IFrameAPI = await this.loadAPI();
+        if (mountId !== this.mountId) return false;
+        this.destroy();
+
+        // The API replaces the target with its iframe, so keep a wrapper we own
+        const element = document.createElement('div');
+        element.className = 'spotify-embed-frame';
+        const target = document.createElement('div');
+        element.appendChild(target);
+        container.appendChild(element);
+
+        const controller = await new Promise(resolve => {
+            IFrameAPI.createController(target, {
+                uri: `spotify:track:${track.id}`,
+                width: '100%',
+                height: this.height
+            }, resolve);
+        });
+
+        if (mountId !== this.mountId) {
+            controller.destroy();
+            element.remove();
+            return false;
+        }
+
+        this.controller = controller;
+        this.element = element;
+        this.resetTrack(track);
+
+        controller.addListener('playback_update', (event) => this.handleUpdate(event.data));
+        if (autoplay) {
+            controller.addListener('ready', () => controller.play());
+        }
+        return true;
+    }
+
+    /**
+     * Swap the mounted embed to another track
+     */
+    load(track, { autoplay = false } = {}) {
+        if (!this.isMounted()) {
+            throw new Error('Spotify embed is not mounted.');
+        }
+
+        this.resetTrack(track);
+        this.controller.loadUri(`spotify:track:${track.id}`);
+        if (autoplay) {
+            this.controller.play();
+        }
+    }
+
+    /**
+     * Forget playback state from the previous track
+     */
+    resetTrack(track) {
+        this.trackId = track.id;
+        this.hasStarted = false;
+        this.ended = false;
+        this.state = null;
+    }
+
+    /**
+     * Track playback updates and report when the track finishes
+     */
+    handleUpdate(data) {
+        if (!data) return;
+
+        const { isPaused, isBuffering, position, duration } = data;
+        this.state = { isPaused, position, duration };
+
+        if (!isPaused && !isBuffering && position > 0) {
+            this.hasStarted = true;
+            this.ended = false;
+        }
+
+        // At the end the embed stops and either stays at the end or jumps back to 0
+        const atEnd = duration > 0 && (position === 0 || duration - position < 1000);
+        const finished = this.hasStarted && isPaused && atEnd && !this.ended;
+        if (finished) {
+            this.ended = true;
+        }
+
+        if (this.onPlaybackUpdate) {
+            this.onPlaybackUpdate(this.state);
+        }
+        if (finished && this.onEnded) {
+            this.onEnded(this.trackId);
+        }
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    togglePlay() {
+        if (this.isMounted()) {
+            this.controller.togglePlay();
+        }
+    }
+
+    /**
+     * Remove the embed
+     */
+    destroy() {
+        if (this.controller) {
+            this.controller.destroy();
+        }
+        if (this.element) {
+            this.element.remove();
+        }
+        this.controller = null;
+        this.element = null;
+        this.trackId = null;
+        this.state = null;
+    }
+}
+
+// Shared API load promise (the iFrame API script can only be injected once)
+SpotifyEmbedController.apiPromise = null;
+
+// Export for use in other scripts
+window.SpotifyEmbedController = SpotifyEmbedController;
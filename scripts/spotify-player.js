@@ -0,0 +1,228 @@
+/**
+ * Spotify Web Playback
+ * Wraps the Web Playback SDK so Premium accounts get an in-page player device
+ * with real play, pause, seek and volume control
+ */
+
+class SpotifyWebPlayer {
+    constructor(spotifyAPI, options = {}) {
+        this.api = spotifyAPI;
+        this.sdkUrl = options.sdkUrl || 'https://sdk.scdn.co/spotify-player.js';
+        this.name = options.name || 'Emotion-Based Music';
+        this.volume = options.volume ?? 0.5;
+        this.connectTimeout = options.connectTimeout || 10000;
+
+        this.player = null;
+        this.deviceId = null;
+        this.ready = false;
+
+        // Last reported state: { trackId, paused, position, duration, timestamp }
+        this.state = null;
+
+        // Callbacks set by the app
+        this.onStateChange = null;
+        this.onEnded = null;
+        this.onDisconnect = null;
+    }
+
+    /**
+     * Inject the SDK script and wait for it to initialise (once per page)
+     */
+    loadSDK() {
+        if (window.Spotify && window.Spotify.Player) return Promise.resolve();
+
+        if (!SpotifyWebPlayer.sdkPromise) {
+            SpotifyWebPlayer.sdkPromise = new Promise((resolve, reject) => {
+                // The SDK calls this global once it has loaded
+                window.onSpotifyWebPlaybackSDKReady = () => resolve();
+
+                const script = document.createElement('script');
+                script.src = this.sdkUrl;
+                script.async = true;
+                script.onerror = () => {
+                    SpotifyWebPlayer.sdkPromise = null;
+                    reject(new Error('Failed to load the Spotify Web Playback SDK.'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return SpotifyWebPlayer.sdkPromise;
+    }
+
+    /**
+     * Create the player device and wait until Spotify reports it ready
+     */
+    async connect() {
+        await this.loadSDK();
+
+        this.player = new Spotify.Player({
+            name: this.name,
+            volume: this.volume,
+            getOAuthToken: (callback) => {
+                this.api.ensureFreshToken().then(() => callback(this.api.accessToken));
+            }
+        });
+
+        const readyPromise = new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => reject(new Error('Spotify player did not become ready in time.')), this.connectTimeout);
+
+            this.player.addListener('ready', ({ device_id }) => {
+                clearTimeout(timeoutId);
+                this.deviceId = device_id;
+                this.ready = true;
+                resolve();
+            });
+
+            // Setup errors before ready reject the connection; later ones drop back to the embed
+            ['initialization_error', 'authentication_error', 'account_error'].forEach(event => {
+                this.player.addListener(event, ({ message }) => {
+                    clearTimeout(timeoutId);
+                    console.error(`Spotify player ${event}:`, message);
+                    if (this.ready) {
+                        this.handleDisconnect();
+                    } else {
+                        reject(new Error(message));
+                    }
+                });
+            });
+        });
+
+        this.player.addListener('not_ready', () => {
+            console.warn('Spotify player went offline');
+            this.handleDisconnect();
+        });
+
+        this.player.addListener('playback_error', ({ message }) => {
+            console.error('Spotify playback error:', message);
+        });
+
+        this.player.addListener('player_state_changed', (state) => this.handleStateChange(state));
+
+        const connected = await this.player.connect();
+        if (!connected) {
+            throw new Error('Spotify player could not connect.');
+        }
+
+        try {
+            await readyPromise;
+        } catch (error) {
+            this.disconnect();
+            throw error;
+        }
+    }
+
+    /**
+     * Normalise SDK state and pass it to the app, reporting when a track finishes
+     */
+    handleStateChange(state) {
+        const previous = this.state;
+        if (!state) {
+            // Playback moved to another device
+            this.state = null;
+        } else {
+            const current = state.track_window && state.track_window.current_track;
+            this.state = {
+                trackId: current ? current.id : null,
+                paused: state.paused,
+                position: state.position,
+                duration: state.duration,
+                timestamp: Date.now()
+            };
+        }
+
+        if (this.onStateChange) {
+            this.onStateChange(this.state);
+        }
+
+        // At the end the SDK pauses the same track at position 0
+        const finished = previous && this.state && !previous.paused && this.state.paused &&
+            this.state.position === 0 && this.state.trackId === previous.trackId;
+        if (finished && this.onEnded) {
+            this.onEnded(this.state.trackId);
+        }
+    }
+
+    /**
+     * Mark the device unusable and let the app fall back
+     */
+    handleDisconnect() {
+        if (!this.ready) return;
+        this.ready = false;
+        this.deviceId = null;
+        if (this.onDisconnect) {
+            this.onDisconnect();
+        }
+    }
+
+    /**
+     * Current position in ms, estimated between state events
+     */
+    getPosition() {
+        if (!this.state) return 0;
+        if (this.state.paused) return this.state.position;
+        return Math.min(this.state.duration, this.state.position + (Date.now() - this.state.timestamp));
+    }
+
+    /**
+     * Start tracks on this device
+     */
+    async play(trackIds) {
+        if (!this.ready) {
+            throw new Error('Spotify player is not ready.');
+        }
+
+        // Browsers only allow audio after a user gesture
+        if (this.player.activateElement) {
+            await this.player.activateElement();
+        }
+
+        await this.api.playOnDevice(this.deviceId, trackIds);
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    togglePlay() {
+        return this.player.togglePlay();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        return this.player.pause();
+    }
+
+    /**
+     * Jump to a position in ms
+     */
+    seek(position) {
+        return this.player.seek(Math.round(position));
+    }
+
+    /**
+     * Set volume (0-1)
+     */
+    setVolume(volume) {
+        this.volume = volume;
+        return this.player.setVolume(volume);
+    }
+
+    /**
+     * Remove the device from the user's account
+     */
+    disconnect() {
+        if (this.player) {
+            this.player.disconnect();
+        }
+        this.ready = false;
+        this.deviceId = null;
+        this.state = null;
+    }
+}
+
+// Shared SDK load promise (the SDK script can only be injected once)
+SpotifyWebPlayer.sdkPromise = null;
+
+// Export for use in other scripts
+window.SpotifyWebPlayer = SpotifyWebPlayer;
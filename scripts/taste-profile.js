@@ -0,0 +1,164 @@
+/**
+ * Taste Profile
+ * Remembers thumbs up/down per emotion and uses it to re-rank search results:
+ * disliked tracks and artists are dropped, liked artists move up and get searched first
+ */
+
+class TasteProfile {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'taste_feedback';
+
+        // An artist is suppressed for an emotion once its dislikes outnumber likes by this much
+        this.artistDislikeThreshold = options.artistDislikeThreshold || 2;
+
+        // Liked artists added ahead of the built-in artists in the artist-search step
+        this.maxBoostedArtists = options.maxBoostedArtists || 2;
+
+        // { emotion: { tracks: { trackId: 1 | -1 }, artists: { artistKey: likes - dislikes } } }
+        this.feedback = this.load();
+    }
+
+    /**
+     * Artist name as stored and compared: lowercase and trimmed, like the curated seed lists
+     * ("Anirudh Ravichander" and "anirudh ravichander" are the same artist)
+     */
+    artistKey(name) {
+        return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Load stored feedback (artist names saved before artistKey are merged under their key)
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && typeof stored === 'object') {
+                Object.values(stored).forEach(feedback => {
+                    const artists = {};
+                    Object.entries(feedback.artists || {}).forEach(([name, score]) => {
+                        const key = this.artistKey(name);
+                        artists[key] = (artists[key] || 0) + score;
+                    });
+                    feedback.artists = artists;
+                });
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid stored taste feedback:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Persist feedback
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.feedback));
+    }
+
+    /**
+     * Feedback for one emotion (created on demand)
+     */
+    forEmotion(emotion) {
+        if (!this.feedback[emotion]) {
+            this.feedback[emotion] = { tracks: {}, artists: {} };
+        }
+        return this.feedback[emotion];
+    }
+
+    /**
+     * Rating of a track for an emotion: 1 (liked), -1 (disliked) or 0
+     */
+    getRating(emotion, trackId) {
+        const feedback = this.feedback[emotion];
+        return (feedback && feedback.tracks[trackId]) || 0;
+    }
+
+    /**
+     * Like (1) or dislike (-1) a track for an emotion; rating it the same way again clears it
+     * Returns the new rating.
+     */
+    rate(emotion, track, rating) {
+        const feedback = this.forEmotion(emotion);
+        const previous = feedback.tracks[track.id] || 0;
+        const next = previous === rating ? 0 : rating;
+
+        if (next === 0) {
+            delete feedback.tracks[track.id];
+        } else {
+            feedback.tracks[track.id] = next;
+        }
+
+        // Artists score the sum of their tracks' ratings
+        const artist = this.artistKey(track.artist);
+        const artistScore = (feedback.artists[artist] || 0) - previous + next;
+        if (artistScore === 0) {
+            delete feedback.artists[artist];
+        } else {
+            feedback.artists[artist] = artistScore;
+        }
+
+        this.save();
+        return next;
+    }
+
+    /**
+     * Whether a track should be left out of results for an emotion
+     */
+    isSuppressed(emotion, track) {
+        const feedback = this.feedback[emotion];
+        if (!feedback) return false;
+        return feedback.tracks[track.id] === -1 ||
+            (feedback.artists[this.artistKey(track.artist)] || 0) <= -this.artistDislikeThreshold;
+    }
+
+    /**
+     * Drop suppressed tracks and move liked tracks and artists to the front (otherwise keeping order)
+     */
+    rerank(emotion, tracks) {
+        const feedback = this.feedback[emotion];
+        if (!feedback) return tracks;
+
+        const boost = (track) => {
+            if (feedback.tracks[track.id] === 1) return 2;
+            return (feedback.artists[this.artistKey(track.artist)] || 0) > 0 ? 1 : 0;
+        };
+
+        return tracks
+            .filter(track => !this.isSuppressed(emotion, track))
+            .map((track, index) => ({ track, index, boost: boost(track) }))
+            .sort((a, b) => b.boost - a.boost || a.index - b.index)
+            .map(entry => entry.track);
+    }
+
+    /**
+     * Artists to search for an emotion: liked artists first, then the defaults minus suppressed ones
+     * Each artist appears once, whatever the case of its name in the defaults.
+     */
+    searchArtists(emotion, defaultArtists) {
+        const feedback = this.feedback[emotion];
+        if (!feedback) return defaultArtists;
+
+        const liked = Object.entries(feedback.artists)
+            .filter(([, score]) => score > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.maxBoostedArtists)
+            .map(([artist]) => artist);
+        const rest = defaultArtists.filter(artist => {
+            const key = this.artistKey(artist);
+            return !liked.includes(key) && (feedback.artists[key] || 0) > -this.artistDislikeThreshold;
+        });
+        return [...liked, ...rest];
+    }
+
+    /**
+     * Forget all feedback
+     */
+    reset() {
+        this.feedback = {};
+        localStorage.removeItem(this.storageKey);
+    }
+}
+
+// Export for use in other scripts
+window.TasteProfile = TasteProfile;
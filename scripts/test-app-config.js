@@ -0,0 +1,54 @@
+/**
+ * Tests for runtime configuration
+ * Open tests.html and run testAppConfig() in the browser console
+ */
+
+// Page the app runs on, the configured redirectUri, and the redirect URI that should be used
+const appConfigCases = [
+    {
+        name: 'folder page keeps its URL',
+        pageUrl: 'https://example.com/app/',
+        expected: 'https://example.com/app/'
+    },
+    {
+        name: 'index.html signs in via its folder',
+        pageUrl: 'https://example.com/app/index.html',
+        expected: 'https://example.com/app/'
+    },
+    {
+        name: 'query and hash are dropped',
+        pageUrl: 'http://localhost:8000/index.html?code=abc#top',
+        expected: 'http://localhost:8000/'
+    },
+    {
+        name: 'configured redirect URI wins',
+        pageUrl: 'https://example.com/app/index.html',
+        redirectUri: 'https://example.com/callback/',
+        expected: 'https://example.com/callback/'
+    }
+];
+
+// Check each case's redirect URI
+function testAppConfig() {
+    let passed = 0;
+    const failures = [];
+
+    for (const testCase of appConfigCases) {
+        const config = new AppConfig({ redirectUri: testCase.redirectUri || null });
+        const redirectUri = config.getRedirectUri(testCase.pageUrl);
+
+        if (redirectUri === testCase.expected) {
+            passed++;
+        } else {
+            failures.push({ name: testCase.name, redirectUri, expected: testCase.expected });
+        }
+    }
+
+    failures.forEach(failure => console.error(`✗ ${failure.name}: got "${failure.redirectUri}", expected "${failure.expected}"`));
+    console.log(`App config: ${passed}/${appConfigCases.length} passed`);
+
+    return { passed, failed: failures.length, failures };
+}
+
+// Make functions available globally for testing
+window.testAppConfig = testAppConfig;
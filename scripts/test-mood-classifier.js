@@ -0,0 +1,74 @@
+/**
+ * Unit tests for the mood text classifier
+ * Run this in the browser console: testMoodClassifier()
+ */
+
+// Sample sentences and what the classifier should make of them
+const moodClassifierCases = [
+    { text: 'stressed before exams but hopeful', dominant: 'motivation', includes: ['calm', 'motivation'] },
+    { text: 'I am so happy today', dominant: 'happy', includes: ['happy'] },
+    { text: 'heartbroken and lonely', dominant: 'sad', includes: ['sad'] },
+    { text: 'pumped up for the gym', dominant: 'energetic', includes: ['energetic', 'motivation'] },
+    { text: 'feeling really angry and frustrated', dominant: 'angry', includes: ['angry'] },
+    { text: 'lazy sunday morning', dominant: 'chill', includes: ['chill'] },
+    { text: 'in love with my darling', dominant: 'romantic', includes: ['romantic'] },
+    { text: 'anxious about the interview', dominant: 'calm', includes: ['calm'] },
+    { text: 'tired but determined to win', dominant: 'motivation', includes: ['motivation'] },
+    // Negation flips the mood
+    { text: 'not happy at all', dominant: 'sad', excludes: ['happy'] },
+    { text: 'I\'m not angry, just tired', dominant: 'calm', excludes: ['angry'] },
+    // Punctuation ends a negation
+    { text: 'can\'t focus, too anxious', dominant: 'calm', excludes: ['angry'] },
+    // Nothing recognisable
+    { text: 'asdf qwerty', dominant: null },
+    { text: '', dominant: null }
+];
+
+// Run every case and report failures
+function testMoodClassifier() {
+    const classifier = new MoodClassifier();
+    let passed = 0;
+    const failures = [];
+
+    for (const testCase of moodClassifierCases) {
+        const mix = classifier.classify(testCase.text);
+        const problems = [];
+
+        if (testCase.dominant === null) {
+            if (mix !== null) problems.push(`expected no mood, got ${JSON.stringify(mix)}`);
+        } else if (!mix) {
+            problems.push('expected a mood, got null');
+        } else {
+            const dominant = MoodClassifier.dominant(mix);
+            if (dominant !== testCase.dominant) {
+                problems.push(`dominant ${dominant}, expected ${testCase.dominant}`);
+            }
+            (testCase.includes || []).forEach(emotion => {
+                if (!mix[emotion]) problems.push(`missing ${emotion}`);
+            });
+            (testCase.excludes || []).forEach(emotion => {
+                if (mix[emotion]) problems.push(`unexpected ${emotion}`);
+            });
+
+            const total = Object.values(mix).reduce((sum, weight) => sum + weight, 0);
+            if (Math.abs(total - 1) > 0.02) problems.push(`weights sum to ${total}`);
+            if (Object.keys(mix).length > classifier.maxEmotions) problems.push('too many emotions');
+        }
+
+        if (problems.length === 0) {
+            passed++;
+        } else {
+            failures.push({ text: testCase.text, mix, problems });
+        }
+    }
+
+    failures.forEach(failure => {
+        console.error(`✗ "${failure.text}" -> ${JSON.stringify(failure.mix)}: ${failure.problems.join('; ')}`);
+    });
+    console.log(`Mood classifier: ${passed}/${moodClassifierCases.length} passed`);
+
+    return { passed, failed: failures.length, failures };
+}
+
+// Make functions available globally for testing
+window.testMoodClassifier = testMoodClassifier;
@@ -0,0 +1,67 @@
+/**
+ * Tests for mood exclusion rules
+ * Open tests.html and run testMoodExclusions() in the browser console
+ */
+
+// Sample tracks (with audio features where a rule depends on them) and the rule that should exclude them, or null
+const moodExclusionCases = [
+    // romantic (motivation)
+    { emotion: 'motivation', track: { name: 'Love Me Like You Do', artist: 'Ellie Goulding', album: 'Fifty Shades' }, rule: 'romantic' },
+    { emotion: 'motivation', track: { name: 'காதல் ரோஜாவே', artist: 'S. P. Balasubrahmanyam', album: 'Roja' }, rule: 'romantic' },
+    // Whole words only: "Heartless" no longer counts as a love song
+    { emotion: 'motivation', track: { name: 'Heartless', artist: 'Kanye West', album: '808s' }, rule: null },
+    { emotion: 'motivation', track: { name: 'Eye of the Tiger', artist: 'Survivor', album: 'Rocky III' }, rule: null },
+    // sleepy (motivation, energetic, angry)
+    { emotion: 'energetic', track: { name: 'Brahms Lullaby', artist: 'Piano Dreams', album: 'Baby Sleep' }, rule: 'sleepy' },
+    { emotion: 'angry', track: { name: 'Drift', artist: 'Ambient Works', album: 'Drift' }, features: { energy: 0.15, tempo: 70 }, rule: 'sleepy' },
+    { emotion: 'angry', track: { name: 'Drift', artist: 'Ambient Works', album: 'Drift' }, features: { energy: 0.15, tempo: 128 }, rule: null },
+    { emotion: 'calm', track: { name: 'Brahms Lullaby', artist: 'Piano Dreams', album: 'Baby Sleep' }, rule: null },
+    // party (sad)
+    { emotion: 'sad', track: { name: 'Party Rock Anthem', artist: 'LMFAO', album: 'Sorry for Party Rocking' }, rule: 'party' },
+    { emotion: 'sad', track: { name: 'Happy', artist: 'Pharrell Williams', album: 'G I R L' }, features: { valence: 0.96, energy: 0.82 }, rule: 'party' },
+    { emotion: 'sad', track: { name: 'Someone Like You', artist: 'Adele', album: '21' }, features: { valence: 0.29, energy: 0.33 }, rule: null },
+    // mournful (happy)
+    { emotion: 'happy', track: { name: 'Tears in Heaven', artist: 'Eric Clapton', album: 'Rush' }, rule: 'mournful' },
+    { emotion: 'happy', track: { name: 'Hurt', artist: 'Johnny Cash', album: 'American IV' }, features: { valence: 0.1 }, rule: 'mournful' },
+    { emotion: 'happy', track: { name: 'Walking on Sunshine', artist: 'Katrina and the Waves', album: 'Walking on Sunshine' }, features: { valence: 0.96 }, rule: null },
+    // aggressive (calm, chill)
+    { emotion: 'chill', track: { name: 'Killing in the Name', artist: 'Rage Against the Machine', album: 'Rage Against the Machine' }, rule: 'aggressive' },
+    { emotion: 'calm', track: { name: 'Untitled', artist: 'Unknown', album: 'Untitled' }, features: { energy: 0.95, valence: 0.2 }, rule: 'aggressive' },
+    { emotion: 'calm', track: { name: 'Weightless', artist: 'Marconi Union', album: 'Weightless' }, features: { energy: 0.1, valence: 0.1 }, rule: null },
+    // Emotions without rules keep everything
+    { emotion: 'romantic', track: { name: 'Love Me Like You Do', artist: 'Ellie Goulding', album: 'Fifty Shades' }, rule: null }
+];
+
+// Run every case, and check that each rule has a case that excludes a track and one that keeps it
+function testMoodExclusions() {
+    const exclusions = new MoodExclusions();
+    let passed = 0;
+    const failures = [];
+
+    for (const testCase of moodExclusionCases) {
+        const result = exclusions.check(testCase.emotion, testCase.track, testCase.features);
+        const ruleId = result ? result.rule.id : null;
+
+        if (ruleId === testCase.rule) {
+            passed++;
+        } else {
+            failures.push({ ...testCase, actual: ruleId, reason: result ? result.reason : 'kept' });
+        }
+    }
+
+    failures.forEach(failure => {
+        console.error(`✗ ${failure.emotion}: "${failure.track.name}" expected ${failure.rule || 'kept'}, got ${failure.actual || 'kept'} (${failure.reason})`);
+    });
+
+    // Every rule needs fixtures, so new rules come with tests
+    const ruleIds = new Set(Object.values(exclusions.rules).flat().map(rule => rule.id));
+    const untested = [...ruleIds].filter(id => !moodExclusionCases.some(testCase => testCase.rule === id));
+    untested.forEach(id => console.error(`✗ Rule "${id}" has no test cases`));
+
+    console.log(`Mood exclusions: ${passed}/${moodExclusionCases.length} passed`);
+
+    return { passed, failed: failures.length, failures, untested };
+}
+
+// Make functions available globally for testing
+window.testMoodExclusions = testMoodExclusions;
@@ -0,0 +1,84 @@
+/**
+ * Tests for taste feedback
+ * Open tests.html and run testTasteProfile() in the browser console
+ */
+
+// Ratings to give, then what searchArtists and isSuppressed should make of them
+// Rated names come from Spotify in display case; curated seeds are lowercase.
+const tasteProfileCases = [
+    {
+        name: 'liked artist is searched once, ahead of the seeds',
+        ratings: [{ track: { id: 't1', artist: 'Anirudh Ravichander' }, rating: 1 }],
+        seeds: ['anirudh ravichander', 'gv prakash', 'yuvan shankar raja'],
+        searched: ['anirudh ravichander', 'gv prakash', 'yuvan shankar raja']
+    },
+    {
+        name: 'liked artist outside the seeds goes first',
+        ratings: [{ track: { id: 't1', artist: 'Sid Sriram' }, rating: 1 }],
+        seeds: ['gv prakash', 'yuvan shankar raja'],
+        searched: ['sid sriram', 'gv prakash', 'yuvan shankar raja']
+    },
+    {
+        name: 'disliked curated artist is no longer searched',
+        ratings: [
+            { track: { id: 't1', artist: 'GV Prakash' }, rating: -1 },
+            { track: { id: 't2', artist: 'GV  Prakash ' }, rating: -1 }
+        ],
+        seeds: ['anirudh ravichander', 'gv prakash'],
+        searched: ['anirudh ravichander'],
+        suppressed: [{ id: 't3', artist: 'gv prakash' }]
+    },
+    {
+        name: 'one dislike only hides that track',
+        ratings: [{ track: { id: 't1', artist: 'Anirudh Ravichander' }, rating: -1 }],
+        seeds: ['anirudh ravichander'],
+        searched: ['anirudh ravichander'],
+        suppressed: [{ id: 't1', artist: 'Anirudh Ravichander' }],
+        kept: [{ id: 't2', artist: 'anirudh ravichander' }]
+    }
+];
+
+// Run every case against a fresh profile (stored under a test key, removed afterwards)
+function testTasteProfile() {
+    let passed = 0;
+    const failures = [];
+
+    for (const testCase of tasteProfileCases) {
+        const taste = new TasteProfile({ storageKey: 'taste_feedback_test' });
+        taste.reset();
+        testCase.ratings.forEach(({ track, rating }) => taste.rate('happy', track, rating));
+
+        const searched = taste.searchArtists('happy', testCase.seeds);
+        const problems = [];
+        if (JSON.stringify(searched) !== JSON.stringify(testCase.searched)) {
+            problems.push(`searched ${JSON.stringify(searched)}, expected ${JSON.stringify(testCase.searched)}`);
+        }
+        (testCase.suppressed || [])
+            .filter(track => !taste.isSuppressed('happy', track))
+            .forEach(track => problems.push(`"${track.artist}" (${track.id}) should be suppressed`));
+        (testCase.kept || [])
+            .filter(track => taste.isSuppressed('happy', track))
+            .forEach(track => problems.push(`"${track.artist}" (${track.id}) should be kept`));
+
+        // Stored feedback loads back the same
+        const reloaded = new TasteProfile({ storageKey: 'taste_feedback_test' });
+        if (JSON.stringify(reloaded.searchArtists('happy', testCase.seeds)) !== JSON.stringify(searched)) {
+            problems.push('reloaded profile searches different artists');
+        }
+        taste.reset();
+
+        if (problems.length === 0) {
+            passed++;
+        } else {
+            failures.push({ name: testCase.name, problems });
+        }
+    }
+
+    failures.forEach(failure => console.error(`✗ ${failure.name}: ${failure.problems.join('; ')}`));
+    console.log(`Taste profile: ${passed}/${tasteProfileCases.length} passed`);
+
+    return { passed, failed: failures.length, failures };
+}
+
+// Make functions available globally for testing
+window.testTasteProfile = testTasteProfile;
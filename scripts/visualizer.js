@@ -16,18 +16,10 @@ class AudioVisualizer {
         this.source = null;
         this.animationId = null;
         this.currentEmotion = null;
+        this.blendedColors = null;
         
-        // Emotion color schemes
-        this.colorSchemes = {
-            happy: { primary: '#f5576c', secondary: '#fee140', bg: 'rgba(250, 112, 154, 0.1)' },
-            sad: { primary: '#4facfe', secondary: '#00f2fe', bg: 'rgba(79, 172, 254, 0.1)' },
-            chill: { primary: '#43e97b', secondary: '#38f9d7', bg: 'rgba(67, 233, 123, 0.1)' },
-            energetic: { primary: '#fa709a', secondary: '#fee140', bg: 'rgba(250, 112, 154, 0.1)' },
-            romantic: { primary: '#ff9a9e', secondary: '#fecfef', bg: 'rgba(255, 154, 158, 0.1)' },
-            calm: { primary: '#a8edea', secondary: '#fed6e3', bg: 'rgba(168, 237, 234, 0.1)' },
-            angry: { primary: '#ff6b6b', secondary: '#ee5a6f', bg: 'rgba(255, 107, 107, 0.1)' },
-            motivation: { primary: '#ff6b35', secondary: '#f7931e', bg: 'rgba(255, 107, 53, 0.1)' }
-        };
+        // Emotion color schemes come from each mood's colours (see emotion-registry.js)
+        this.emotions = EmotionRegistry.current;
         
         this.defaultColors = { primary: '#667eea', secondary: '#764ba2', bg: 'rgba(102, 126, 234, 0.1)' };
         
@@ -70,21 +62,72 @@ class AudioVisualizer {
      */
     setEmotion(emotion) {
         this.currentEmotion = emotion;
+        this.blendedColors = null;
+    }
+
+    /**
+     * Blend color schemes for a weighted emotion mix, e.g. { chill: 0.7, romantic: 0.3 }
+     */
+    setEmotionMix(mix) {
+        const entries = Object.entries(mix).filter(([emotion, weight]) => weight > 0 && this.emotions.get(emotion));
+        if (entries.length === 0) {
+            this.setEmotion(null);
+            return;
+        }
+
+        entries.sort((a, b) => b[1] - a[1]);
+        this.currentEmotion = entries[0][0];
+
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        const blend = (key) => this.blendColors(entries.map(([emotion, weight]) => [this.emotions.getColors(emotion)[key], weight / total]));
+        const primary = blend('primary');
+        const r = parseInt(primary.substr(1, 2), 16);
+        const g = parseInt(primary.substr(3, 2), 16);
+        const b = parseInt(primary.substr(5, 2), 16);
+
+        this.blendedColors = {
+            primary,
+            secondary: blend('secondary'),
+            bg: `rgba(${r}, ${g}, ${b}, 0.1)`
+        };
+    }
+
+    /**
+     * Weighted average of hex colors, returned as hex
+     */
+    blendColors(weightedColors) {
+        const channels = [0, 0, 0];
+        weightedColors.forEach(([color, weight]) => {
+            const hex = color.replace('#', '');
+            for (let i = 0; i < 3; i++) {
+                channels[i] += parseInt(hex.substr(i * 2, 2), 16) * weight;
+            }
+        });
+        return '#' + channels.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
     }
 
     /**
      * Get colors for current emotion
      */
     getColors() {
-        return this.currentEmotion && this.colorSchemes[this.currentEmotion]
-            ? this.colorSchemes[this.currentEmotion]
-            : this.defaultColors;
+        if (this.blendedColors) {
+            return this.blendedColors;
+        }
+        return (this.currentEmotion && this.emotions.getColors(this.currentEmotion)) || this.defaultColors;
     }
 
     /**
      * Start visualization
      */
     start() {
+        // Already drawing
+        if (this.animationId) return;
+
+        // Contexts created before a user gesture start suspended
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
         if (!this.analyser) {
             this.init().then(() => {
                 if (this.analyser) this.animate();
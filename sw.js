@@ -0,0 +1,151 @@
+/**
+ * Service Worker
+ * Pre-caches the app shell so the app opens and installs offline.
+ * Playlists themselves live in IndexedDB (see scripts/playlist-cache.js); album art and fonts
+ * are kept in a small runtime cache so saved playlists still look right offline.
+ */
+
+// Bump when the shell file list changes, so old caches are dropped on activate
+const CACHE_VERSION = 'v5';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+
+// Oldest runtime entries (album art, fonts) are dropped beyond this many
+const MAX_RUNTIME_ENTRIES = 200;
+
+// The app page is cached once, as index.html (see shellCacheKey)
+// config.json is left out: it's optional (window.APP_CONFIG and defaults work without it) and
+// cache.addAll fails the whole install on a missing file - networkFirst caches it when it's there
+const SHELL_FILES = [
+    'index.html',
+    'manifest.webmanifest',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'styles/main.css',
+    'styles/animations.css',
+    'styles/responsive.css',
+    'scripts/language-profiles.js',
+    'scripts/app-config.js',
+    'scripts/emotion-registry.js',
+    'scripts/language-classifier.js',
+    'scripts/taste-profile.js',
+    'scripts/mood-exclusions.js',
+    'scripts/music-provider.js',
+    'scripts/audio-features.js',
+    'scripts/spotify-api.js',
+    'scripts/spotify-player.js',
+    'scripts/spotify-embed.js',
+    'scripts/local-provider.js',
+    'scripts/playlist-cache.js',
+    'scripts/playback-queue.js',
+    'scripts/listening-history.js',
+    'scripts/emotion-effects.js',
+    'scripts/visualizer.js',
+    'scripts/emotion-detector.js',
+    'scripts/mood-classifier.js',
+    'scripts/app.js',
+    'catalogue/tracks.json'
+];
+
+// Cross-origin files worth keeping for offline use (fonts and Spotify album art)
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'i.scdn.co'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // App pages and files: network first so updates show up, the cached shell when offline
+    if (url.origin === self.location.origin) {
+        // Audio is streamed with range requests, which the cache can't answer
+        if (request.headers.has('range')) return;
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    // Fonts and album art from the cache; API calls, the embed and SDKs always go to the network
+    if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Key a same-origin response is cached under, or null to not cache it
+ * The app page is stored as index.html whatever its query, so sign-in redirects
+ * (/?code=...&state=...) don't pile up or keep their one-time codes; other URLs with a query aren't cached.
+ */
+function shellCacheKey(request) {
+    const url = new URL(request.url);
+    const scopePath = new URL(self.registration.scope).pathname;
+    if (request.mode === 'navigate' && (url.pathname === scopePath || url.pathname === `${scopePath}index.html`)) {
+        return 'index.html';
+    }
+    return url.search ? null : request;
+}
+
+/**
+ * Fetch and refresh the shell cache, falling back to the cache (and index.html for pages)
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = shellCacheKey(request);
+    try {
+        const response = await fetch(request);
+        if (response.ok && key) {
+            cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Pages with a query string (e.g. the Spotify sign-in redirect) fall back to the shell
+        const cached = await cache.match(key || request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Serve from the runtime cache, fetching and storing on a miss
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque responses (no-cors images) report status 0 but are still usable
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(cache);
+    }
+    return response;
+}
+
+/**
+ * Drop the oldest runtime entries beyond MAX_RUNTIME_ENTRIES
+ */
+async function trimCache(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_RUNTIME_ENTRIES)).map(key => cache.delete(key)));
+}